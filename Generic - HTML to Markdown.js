@@ -0,0 +1,360 @@
+// =============================================================================
+// HTML-to-Markdown Converter — shared module
+// =============================================================================
+// Rule-table converter shared by the AI Studio Chat Exporters and any other
+// snippet that needs rendered HTML back as GFM Markdown.
+//
+// - Run in DevTools → window.HtmlToMarkdown
+// - require() from Node → module.exports (pass it jsdom elements)
+// - Snippets that must stay self-contained embed the block between the
+//   BEGIN/END markers verbatim (re-indented) — edit it here first.
+//
+//   const toMarkdown = HtmlToMarkdown.create({
+//     presets: [HtmlToMarkdown.presets.aiStudio],
+//     rules: { img: (node, ctx, next) => ... },   // override one tag
+//   });
+//   toMarkdown(element) → string
+//
+// Rules map a lowercase tag name to (node, ctx, next) => string, where
+// ctx = { convert, children, toHtml, listItems } and next() runs the rule it
+// replaced. listItems(list) returns a list's <li> children, looking through
+// `transparent` wrappers.
+// Matchers ({ test, convert }) run before tag rules, for class-based cases
+// such as KaTeX spans. Presets bundle rules, matchers, `transparent` wrapper
+// tags and a `strip` selector of UI chrome removed before conversion.
+//
+// Whitespace follows rendered HTML, not the source: a line break inside a text
+// node collapses to one space, and trailing spaces/tabs are stripped from every
+// output line except inside fences that start at column 0 (top-level <pre>).
+// So a two-space hard break never survives — <br> becomes a plain newline.
+// =============================================================================
+
+(() => {
+  'use strict';
+
+  // ── BEGIN html-to-markdown ──────────────────────────────────────────────
+  const HtmlToMarkdown = (() => {
+    const TEXT_NODE = 3;
+    const ELEMENT_NODE = 1;
+
+    const escapeHtml = s => String(s)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    // KaTeX keeps the TeX source in a MathML annotation; bare MathML may
+    // carry it in alttext
+    const texSource = (node) => {
+      const ann = node.querySelector('annotation[encoding="application/x-tex"]');
+      if (ann) return ann.textContent.trim();
+      if (node.tagName.toLowerCase() === 'math') {
+        return (node.getAttribute('alttext') || node.textContent || '').trim();
+      }
+      return null;
+    };
+    const isMath = (node) => node.tagName.toLowerCase() === 'math' ||
+      node.classList.contains('katex') || node.classList.contains('katex-display');
+    const isDisplayMath = (node) => node.classList.contains('katex-display') ||
+      !!node.closest('.katex-display') ||
+      (node.tagName.toLowerCase() === 'math' && node.getAttribute('display') === 'block');
+
+    // "#user-content-fn-2" / "fnref-2" / "fn:2" → "2"
+    const footnoteLabel = (ref) =>
+      (ref || '').replace(/^#/, '').replace(/^user-content-/, '').replace(/^fn(ref)?[-:]?/, '') || '?';
+    const isFootnoteRef = (sup) => {
+      const a = sup.querySelector('a[href^="#"]');
+      return !!a && (sup.classList.contains('footnote-ref') || a.hasAttribute('data-footnote-ref') ||
+        /^#(user-content-)?fn/.test(a.getAttribute('href')));
+    };
+
+    // GFM cells hold one line of inline content: no spans, no block children
+    const needsHtmlTable = (table) =>
+      Array.from(table.querySelectorAll('td, th')).some(cell =>
+        parseInt(cell.getAttribute('colspan') || '1') > 1 ||
+        parseInt(cell.getAttribute('rowspan') || '1') > 1 ||
+        !!cell.querySelector('ul, ol, pre, table, blockquote, h1, h2, h3, h4, h5, h6, hr, .katex-display') ||
+        cell.querySelectorAll('p').length > 1);
+
+    // Continuation lines of a list item, indented under its marker
+    const indentRest = (text, pad) => {
+      const lines = text.replace(/\n{3,}/g, '\n\n').split('\n');
+      return lines[0] + (lines.length > 1 ? '\n' + lines.slice(1).map(l => l ? pad + l : l).join('\n') : '');
+    };
+
+    const inline = (wrap) => (node, ctx) => {
+      const t = ctx.children(node).trim();
+      return t ? wrap[0] + t + wrap[1] : '';
+    };
+    const passThrough = (node, ctx) => ctx.children(node);
+
+    // ── Base rules (plain GFM) ──
+    const baseRules = {
+      p: (node, ctx) => {
+        const text = ctx.children(node).trim();
+        return text ? '\n\n' + text + '\n\n' : '';
+      },
+      br: () => '\n',
+      hr: () => '\n\n---\n\n',
+
+      blockquote: (node, ctx) =>
+        '\n\n' + ctx.children(node).trim().replace(/\n{3,}/g, '\n\n')
+          .split('\n').map(l => l ? '> ' + l : '>').join('\n') + '\n\n',
+
+      pre: (node) => {
+        const codeEl = node.querySelector('code');
+        const codeText = codeEl ? codeEl.textContent : node.textContent;
+        const langClass = String((codeEl || node).className).match(/language-(\w+)/);
+        const lang = langClass ? langClass[1] :
+          (node.getAttribute('data-lang') || node.getAttribute('language') || '');
+        return '\n\n```' + lang + '\n' + codeText.trimEnd() + '\n```\n\n';
+      },
+
+      ul: (node, ctx) => {
+        const result = ctx.listItems(node).map(li =>
+          '- ' + indentRest(ctx.convert(li).trim().replace(/^\[([ x])\]\s+/, '[$1] '), '  '));
+        return '\n\n' + result.join('\n') + '\n\n';
+      },
+      ol: (node, ctx) => {
+        const start = parseInt(node.getAttribute('start') || '1');
+        const result = ctx.listItems(node).map((li, i) => {
+          const num = (start + i) + '. ';
+          return num + indentRest(ctx.convert(li).trim().replace(/^\[([ x])\]\s+/, '[$1] '), ' '.repeat(num.length));
+        });
+        return '\n\n' + result.join('\n') + '\n\n';
+      },
+      li: passThrough,
+
+      // Task list checkboxes → GFM [ ] / [x]
+      input: (node) => {
+        if (node.getAttribute('type') !== 'checkbox') return '';
+        return (node.checked || node.hasAttribute('checked')) ? '[x] ' : '[ ] ';
+      },
+
+      table: (node, ctx) => {
+        if (needsHtmlTable(node)) return '\n\n' + ctx.toHtml(node) + '\n\n';
+
+        const rows = [];
+        node.querySelectorAll('tr').forEach(tr => {
+          const cells = tr.querySelectorAll('td, th');
+          rows.push(Array.from(cells).map(cell =>
+            ctx.convert(cell).trim().replace(/\|/g, '\\|').replace(/\n+/g, ' ')
+          ));
+        });
+        if (rows.length === 0) return ctx.children(node);
+        const colCount = Math.max(...rows.map(r => r.length));
+        const headCells = node.querySelector('tr') ? node.querySelector('tr').querySelectorAll('td, th') : [];
+        const aligns = Array.from(headCells).map(c => (c.getAttribute('align') || c.style.textAlign || '').toLowerCase());
+        const alignMarker = a => a === 'center' ? ':---:' : a === 'right' ? '---:' : a === 'left' ? ':---' : '---';
+        const pad = row => { while (row.length < colCount) row.push(''); return row; };
+        const mdRows = rows.map(r => '| ' + pad(r).join(' | ') + ' |');
+        mdRows.splice(1, 0, '| ' + Array.from({ length: colCount }, (_, i) => alignMarker(aligns[i])).join(' | ') + ' |');
+        return '\n\n' + mdRows.join('\n') + '\n\n';
+      },
+
+      strong: inline(['**', '**']),
+      b: inline(['**', '**']),
+      em: inline(['*', '*']),
+      i: inline(['*', '*']),
+      s: inline(['~~', '~~']),
+      del: inline(['~~', '~~']),
+      strike: inline(['~~', '~~']),
+      sub: inline(['<sub>', '</sub>']),
+
+      // Footnote refs (cmark-gfm markup) or plain superscript
+      sup: (node, ctx) => {
+        if (isFootnoteRef(node)) return '[^' + footnoteLabel(node.querySelector('a').getAttribute('href')) + ']';
+        const t = ctx.children(node).trim();
+        return t ? '<sup>' + t + '</sup>' : '';
+      },
+
+      code: (node) => {
+        if (node.parentElement && node.parentElement.tagName.toLowerCase() === 'pre') return node.textContent;
+        return '`' + node.textContent + '`';
+      },
+
+      a: (node, ctx) => {
+        if (node.classList.contains('footnote-backref') || node.hasAttribute('data-footnote-backref')) return '';
+        const href = node.getAttribute('href') || '';
+        const text = ctx.children(node).trim();
+        return href && text ? '[' + text + '](' + href + ')' : text;
+      },
+
+      img: (node) => {
+        const alt = node.getAttribute('alt') || 'image';
+        const src = node.getAttribute('src') || '';
+        return src ? '![' + alt + '](' + src + ')' : '';
+      },
+
+      // Collapsible blocks — HTML wrapper and summary (Markdown is not
+      // rendered inside <summary>), Markdown body
+      details: (node, ctx) => {
+        const summary = node.querySelector(':scope > summary');
+        const summaryHtml = summary ? ctx.toHtml(summary).trim() : '<summary>Details</summary>';
+        const body = Array.from(node.childNodes).filter(n => n !== summary).map(ctx.convert).join('').trim();
+        return '\n\n<details>\n' + summaryHtml + '\n\n' + body + '\n\n</details>\n\n';
+      },
+    };
+    ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(tag => {
+      baseRules[tag] = (node, ctx) =>
+        '\n\n' + '#'.repeat(parseInt(tag.charAt(1))) + ' ' + ctx.children(node).trim() + '\n\n';
+    });
+
+    const baseMatchers = [
+      {
+        test: node => isMath(node) && !!texSource(node),
+        convert: (node) => {
+          const tex = texSource(node);
+          return isDisplayMath(node) ? '\n\n$$\n' + tex + '\n$$\n\n' : '$' + tex + '$';
+        },
+      },
+      {
+        test: node => node.classList.contains('footnotes') || node.hasAttribute('data-footnotes'),
+        convert: (node, ctx) => {
+          const defs = Array.from(node.querySelectorAll('li[id]')).map(li =>
+            '[^' + footnoteLabel(li.id) + ']: ' +
+            ctx.convert(li).trim().split('\n').map((l, i) => i && l ? '    ' + l : l).join('\n'));
+          return '\n\n' + defs.join('\n') + '\n\n';
+        },
+      },
+    ];
+
+    // ── Site presets ──
+    const presets = {
+      aiStudio: {
+        // Angular wrappers around every cmark node / chunk
+        transparent: ['ms-cmark-node', 'ms-text-chunk', 'ms-prompt-chunk'],
+        strip:
+          'ms-chat-turn-options, button:not([class*="citation"]), mat-icon, ' +
+          '[aria-label="Copy"], [aria-label="Edit"], ' +
+          '.action-buttons, .feedback-buttons, [class*="thumb"], ' +
+          '[class*="copy-button"], .overflow-menu, .edit-button, ' +
+          '.turn-role-label, .role-label',
+        matchers: [
+          // Inline code is <span class="inline-code">, not <code>
+          { test: node => node.tagName.toLowerCase() === 'span' && node.classList.contains('inline-code'),
+            convert: node => '`' + node.textContent + '`' },
+          // Grounding citation chips → [n](source)
+          { test: node => node.matches(
+              'ms-citation, ms-citation-chip, .citation-chip, [class*="citation-chip"], [data-citation-index]'),
+            convert: (node) => {
+              const label = (node.getAttribute('data-citation-index') || node.textContent || '').trim();
+              if (node.parentElement && node.parentElement.closest('a[href]')) return '[' + label + ']';
+              const link = node.querySelector('a[href]');
+              const url = link ? link.getAttribute('href') : node.getAttribute('data-url');
+              return url ? '[[' + label + ']](' + url + ')' : '[' + label + ']';
+            } },
+        ],
+        rules: {
+          // Thinking spinner → local reference
+          img: (node, ctx, next) => {
+            const src = node.getAttribute('src') || '';
+            if (src.includes('watermark/watermark.png') || node.classList.contains('thinking-progress-icon')) {
+              return '![Thinking](watermark.png)';
+            }
+            return next();
+          },
+        },
+      },
+    };
+
+    // Clean HTML for tables GFM cannot represent: custom elements and layout
+    // wrappers are unwrapped, only structural attributes are kept
+    const HTML_ATTRS = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'align', 'start', 'type', 'checked'];
+    const VOID_TAGS = ['br', 'hr', 'img', 'input'];
+
+    const create = (options = {}) => {
+      const layers = [...(options.presets || []), options];
+      const rules = Object.assign({}, baseRules);
+      const matchers = baseMatchers.slice();
+      const transparent = new Set();
+      const strip = [];
+
+      layers.forEach(layer => {
+        (layer.transparent || []).forEach(t => transparent.add(t));
+        if (layer.strip) strip.push(layer.strip);
+        matchers.unshift(...(layer.matchers || []));
+        Object.entries(layer.rules || {}).forEach(([tag, rule]) => {
+          const prev = rules[tag] || passThrough;
+          rules[tag] = (node, ctx) => rule(node, ctx, () => prev(node, ctx));
+        });
+      });
+
+      // Source line breaks are just whitespace in rendered HTML
+      const convert = (node) => {
+        if (node.nodeType === TEXT_NODE) return (node.textContent || '').replace(/\s*\n\s*/g, ' ');
+        if (node.nodeType !== ELEMENT_NODE) return '';
+        const tag = node.tagName.toLowerCase();
+        if (transparent.has(tag)) return ctx.children(node);
+        const matcher = matchers.find(m => m.test(node));
+        if (matcher) return matcher.convert(node, ctx);
+        return (rules[tag] || passThrough)(node, ctx);
+      };
+
+      const toHtml = (node) => {
+        if (node.nodeType === TEXT_NODE) return escapeHtml(node.textContent || '');
+        if (node.nodeType !== ELEMENT_NODE) return '';
+        const tag = node.tagName.toLowerCase();
+        const inner = () => Array.from(node.childNodes).map(toHtml).join('');
+
+        if (isMath(node) && texSource(node)) {
+          const tex = texSource(node);
+          return escapeHtml(isDisplayMath(node) ? '$$' + tex + '$$' : '$' + tex + '$');
+        }
+        if (tag === 'img') {
+          // Route through the rules so images are handled like everywhere else
+          const m = convert(node).match(/^!\[([^\]]*)\]\((.*)\)$/);
+          return m ? '<img src="' + escapeHtml(m[2]) + '" alt="' + escapeHtml(m[1]) + '">' : '';
+        }
+        if (tag !== 'pre' && matchers.some(m => m.test(node))) {
+          // Inline-code style spans etc. — keep their Markdown meaning as HTML
+          const md = convert(node);
+          const code = md.match(/^`([^`]*)`$/);
+          return code ? '<code>' + escapeHtml(code[1]) + '</code>' : escapeHtml(md);
+        }
+        if (tag.includes('-') || tag === 'span' || tag === 'div') return inner();
+
+        const attrs = HTML_ATTRS.filter(a => node.hasAttribute(a))
+          .map(a => ' ' + a + '="' + escapeHtml(node.getAttribute(a)) + '"').join('');
+        if (VOID_TAGS.includes(tag)) return '<' + tag + attrs + '>';
+        return '<' + tag + attrs + '>' + inner() + '</' + tag + '>';
+      };
+
+      // <li> children, looking through transparent wrappers
+      const listItems = (list) => {
+        const items = [];
+        const walk = el => Array.from(el.children).forEach(c => {
+          const t = c.tagName.toLowerCase();
+          if (t === 'li') items.push(c);
+          else if (transparent.has(t)) walk(c);
+        });
+        walk(list);
+        return items;
+      };
+
+      const ctx = {
+        convert,
+        children: node => Array.from(node.childNodes).map(convert).join(''),
+        toHtml,
+        listItems,
+      };
+
+      return (rootEl) => {
+        const root = rootEl.cloneNode(true);
+        if (strip.length) root.querySelectorAll(strip.join(', ')).forEach(n => n.remove());
+        // Trailing whitespace left between blocks is dropped, code fences excepted
+        // (no rule emits a two-space hard break — <br> is a plain newline)
+        return convert(root)
+          .replace(/(^```[^\n]*\n[\s\S]*?\n```$)|[ \t]+$/gm, (m, fence) => fence || '')
+          .replace(/\n{3,}/g, '\n\n').trim();
+      };
+    };
+
+    return { create, baseRules, presets, escapeHtml };
+  })();
+  // ── END html-to-markdown ────────────────────────────────────────────────
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = HtmlToMarkdown;
+  } else {
+    window.HtmlToMarkdown = HtmlToMarkdown;
+    console.log('[HtmlToMarkdown] Ready — HtmlToMarkdown.create({ presets: [HtmlToMarkdown.presets.aiStudio] })');
+  }
+})();
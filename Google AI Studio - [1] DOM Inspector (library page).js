@@ -2,15 +2,25 @@
 // AI Studio Library/Index Page DOM Inspector — DevTools Snippet
 // =============================================================================
 // Run this on: https://aistudio.google.com/library  (or /prompts if redirected)
-// Downloads a .txt report of the page structure for all prompt/chat entries.
+// Downloads a .txt report of the page structure for all prompt/chat entries,
+// plus a JSON snapshot (custom elements, per-concept selector matches and
+// sample structures) to diff across AI Studio releases. Section 9 ranks
+// suggested row selectors and prints the code that reads name, link and date.
+// With CONFIG.saveFixture, the table is also saved as an HTML fixture (custom
+// elements and attributes kept, text optionally redacted) for offline replay.
 // =============================================================================
 
 (async () => {
   'use strict';
 
+  const CONFIG = {
+    saveFixture: true,     // also download the library table as a self-contained HTML fixture
+    redactFixture: false,  // letters → x/X, digits → 0 in the fixture (Type and Updated cell text kept)
+  };
+
   const sleep = ms => new Promise(r => setTimeout(r, ms));
-  const downloadFile = (content, filename) => {
-    const blob = new Blob([content], { type: 'text/plain' });
+  const downloadFile = (content, filename, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -71,6 +81,829 @@
     Array.from(el.childNodes).forEach(child => dumpTree(child, indent + 1, maxDepth));
   };
 
+  // ── Selector registry ─────────────────────────────────────────────────────
+  // Embedded copies of the three blocks in "Google AI Studio - [0] Selector
+  // Registry.js" — change them there first, then re-paste between the
+  // BEGIN/END markers. Only used for the JSON snapshot, the suggestions and
+  // the fixture; the text report keeps its own probes.
+
+  // ── BEGIN ai-studio-selectors ───────────────────────────────────────────
+  const AiStudioSelectors = (() => {
+    // page: where the concept is expected — the report only flags those.
+    // optional: legitimately absent (no thinking, short list), never flagged.
+    const CONCEPTS = {
+      // Prompts (chat) page
+      turn: { page: 'prompts', candidates: ['ms-chat-turn', '[data-turn-id]', '.chat-turn-container'] },
+      turnRole: { page: 'prompts', candidates: ['[data-turn-role]', '[data-role]', '.chat-turn-container.user, .chat-turn-container.model'] },
+      textChunk: { page: 'prompts', candidates: ['ms-prompt-chunk.text-chunk', '[class*="text-chunk"]'] },
+      markdownRoot: { page: 'prompts', candidates: ['ms-cmark-node.cmark-node', 'ms-cmark-node', '.markdown'] },
+      thoughtChunk: { optional: true, page: 'prompts', candidates: ['ms-thought-chunk', '[class*="thought-chunk"]'] },
+      thoughtPanel: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel.thought-panel', 'ms-thought-chunk mat-expansion-panel', 'ms-thought-chunk details'] },
+      thoughtHeader: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel-header', 'summary', '[role="button"][aria-expanded]'] },
+      chatScroller: { optional: true, page: 'prompts', candidates: ['ms-autoscroll-container', '.chat-view-container', '[class*="chat-container"]'] },
+      title: { optional: true, page: 'prompts', candidates: ['span.title-input', '[aria-label="prompt title"]', 'h1.mode-title, h1'] },
+      systemInstructions: { optional: true, page: 'prompts', candidates: ['ms-system-instructions-panel textarea', 'textarea[aria-label*="system" i]'] },
+      // Composer controls (new_chat page, used by the importer)
+      promptInput: { page: 'compose', candidates: ['ms-prompt-input-wrapper textarea', 'ms-chunk-input textarea', 'textarea[aria-label*="prompt" i]', 'footer textarea'] },
+      addTurnButton: { page: 'compose', candidates: ['button[aria-label*="add to chat" i]', 'button[aria-label*="without running" i]', 'button[aria-label="Add"]'] },
+      turnRoleToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="switch role" i]', 'button[aria-label*="change role" i]', 'button[aria-label*="role" i]'] },
+      systemInstructionsToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="system instructions" i]', 'ms-system-instructions button', '[data-test-system-instructions-card]'] },
+      // Library page
+      libraryTableWrapper: { optional: true, page: 'library', candidates: ['div.lib-table-wrapper', 'ms-library-table', 'cdk-virtual-scroll-viewport'] },
+      libraryRow: { page: 'library', candidates: ['table.library-table tr.mat-mdc-row, table.library-table tr.cdk-row', 'tr.mat-mdc-row, tr.cdk-row', 'table tbody tr'] },
+      libraryNameCell: { page: 'library', candidates: ['td.cdk-column-name, td.mat-column-name', 'td:nth-child(1)'] },
+      libraryDescriptionCell: { optional: true, page: 'library', candidates: ['td.cdk-column-description, td.mat-column-description', 'td:nth-child(2)'] },
+      libraryTypeCell: { page: 'library', candidates: ['td.cdk-column-type, td.mat-column-type', 'td:nth-child(3)'] },
+      libraryUpdatedCell: { page: 'library', candidates: ['td.cdk-column-updated, td.mat-column-updated', 'td:nth-child(4)'] },
+      // Both pages (sidebar)
+      promptLink: { optional: true, page: 'any', candidates: ['a.prompt-link[href*="/prompts/"]', 'a[href*="/prompts/"]'] },
+    };
+
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+
+    const safeQueryAll = (root, sel) => {
+      try { return Array.from(root.querySelectorAll(sel)); } catch (e) { return []; }
+    };
+
+    // ── Tree dump (from the DOM Inspector snippets) ──
+    const describeEl = (el, maxText = 100) => {
+      const tag = el.tagName.toLowerCase();
+      const cls = el.className && typeof el.className === 'string' && el.className.trim()
+        ? '.' + el.className.trim().split(/\s+/).slice(0, 5).join('.') : '';
+      const id = el.id ? '#' + el.id : '';
+      const role = el.getAttribute('role') ? ' [role=' + el.getAttribute('role') + ']' : '';
+      const href = el.getAttribute('href') ? ' [href="' + el.getAttribute('href').substring(0, 80) + '"]' : '';
+      const ariaLabel = el.getAttribute('aria-label')
+        ? ' [aria-label="' + el.getAttribute('aria-label').substring(0, 60) + '"]' : '';
+      const dataAttrs = Array.from(el.attributes)
+        .filter(a => a.name.startsWith('data-'))
+        .map(a => ' [' + a.name + '="' + a.value.substring(0, 60) + '"]')
+        .join('');
+      const text = (el.textContent || '').trim().substring(0, maxText).replace(/\n/g, '\\n');
+      const textStr = text ? ' text="' + text + (text.length >= maxText ? '…' : '') + '"' : '';
+      return '<' + tag + id + cls + role + href + ariaLabel + dataAttrs + '>' + textStr;
+    };
+
+    const dumpTree = (el, log, indent = 0, maxDepth = 8) => {
+      const pad = '  '.repeat(indent);
+      if (indent > maxDepth) { log(pad + '... (depth limit)'); return; }
+
+      if (el.nodeType === TEXT_NODE) {
+        const t = el.textContent.trim();
+        if (t) log(pad + '#text "' + t.substring(0, 100).replace(/\n/g, '\\n') + '"');
+        return;
+      }
+      if (el.nodeType !== ELEMENT_NODE) return;
+
+      const childCount = el.children.length;
+      log(pad + describeEl(el, 80) + (childCount > 0 ? ' [' + childCount + ' ch]' : ''));
+      Array.from(el.childNodes).forEach(child => dumpTree(child, log, indent + 1, maxDepth));
+    };
+
+    const customElementCounts = (doc) => {
+      const counts = {};
+      doc.querySelectorAll('*').forEach(el => {
+        const tag = el.tagName.toLowerCase();
+        if (tag.includes('-')) counts[tag] = (counts[tag] || 0) + 1;
+      });
+      return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+    };
+
+    const findMainArea = (doc) => {
+      for (const sel of ['main', '[role="main"]', '.main-content', 'ms-library', 'ms-chunk-editor', 'ms-prompt-switcher']) {
+        const el = doc.querySelector(sel);
+        if (el) return { el, via: '"' + sel + '"' };
+      }
+      const outlet = doc.querySelector('router-outlet');
+      if (outlet && outlet.nextElementSibling) return { el: outlet.nextElementSibling, via: 'router-outlet sibling' };
+      return { el: doc.body, via: 'document.body' };
+    };
+
+    const create = ({ concepts = {}, doc = typeof document !== 'undefined' ? document : null } = {}) => {
+      const registry = {};
+      Object.keys(CONCEPTS).forEach(name => {
+        registry[name] = { ...CONCEPTS[name], candidates: [...(concepts[name] || []), ...CONCEPTS[name].candidates] };
+      });
+      Object.keys(concepts).forEach(name => {
+        if (!registry[name]) registry[name] = { page: 'any', candidates: [...concepts[name]] };
+      });
+
+      const misses = {};    // concept → times every candidate came back empty
+
+      const candidatesOf = (name) => {
+        if (!registry[name]) throw new Error('Unknown selector concept: ' + name);
+        return registry[name].candidates;
+      };
+
+      const queryAll = (name, root = doc) => {
+        for (const sel of candidatesOf(name)) {
+          const found = safeQueryAll(root, sel);
+          if (found.length) return found;
+        }
+        misses[name] = (misses[name] || 0) + 1;
+        return [];
+      };
+
+      const query = (name, root = doc) => queryAll(name, root)[0] || null;
+
+      // Every candidate as one selector list, for closest() / matches()
+      const selector = name => candidatesOf(name).join(', ');
+
+      const status = () => Object.keys(registry).map(name => {
+        const counts = registry[name].candidates.map(sel => ({ selector: sel, matches: safeQueryAll(doc, sel).length }));
+        const hit = counts.find(c => c.matches > 0);
+        return {
+          concept: name, page: registry[name].page, optional: !!registry[name].optional,
+          resolved: hit ? hit.selector : null, counts, misses: misses[name] || 0,
+        };
+      });
+
+      // page: 'prompts' | 'library' | 'compose', or a list of them — concepts
+      // for other pages are listed but not flagged as drifted
+      const report = ({ reason = '', page = '', treeDepth = 6 } = {}) => {
+        const lines = [];
+        const log = (...args) => lines.push(args.join(' '));
+        const rows = status();
+        const pages = [].concat(page).filter(Boolean);
+        const expected = r => !pages.length || pages.includes(r.page) || r.page === 'any';
+        const drifted = rows.filter(r => !r.resolved && !r.optional && expected(r));
+
+        log('═══════════════════════════════════════════════════════════════');
+        log('  AI STUDIO SELECTOR DRIFT REPORT');
+        log('  URL: ' + doc.location.href);
+        log('  Time: ' + new Date().toISOString());
+        if (reason) log('  Reason: ' + reason);
+        log('═══════════════════════════════════════════════════════════════');
+        log('');
+
+        log('── SECTION 1: SELECTOR REGISTRY ──');
+        rows.forEach(r => {
+          const flagged = !r.resolved && !r.optional && expected(r);
+          const mark = r.resolved ? '✔' : flagged ? '✘' : '·';
+          log('  ' + mark + ' ' + r.concept + ' (' + r.page + ')' +
+            (r.resolved ? ' → "' + r.resolved + '"'
+              : flagged ? ' — no fallback matched'
+              : expected(r) ? ' — optional, not present' : ' — not on this page') +
+            (r.misses ? ' [' + r.misses + ' empty lookups]' : ''));
+          if (flagged || (r.resolved && r.resolved !== r.counts[0].selector)) {
+            r.counts.forEach(c => log('      "' + c.selector + '" → ' + c.matches));
+          }
+        });
+        log('');
+        log('  Drifted: ' + (drifted.length ? drifted.map(r => r.concept).join(', ') : 'none'));
+        log('');
+
+        log('── SECTION 2: ALL CUSTOM ELEMENTS ON PAGE ──');
+        Object.entries(customElementCounts(doc)).forEach(([tag, count]) => log('  ' + tag + ' × ' + count));
+        log('');
+
+        // A resolved container concept is the best place to look for its
+        // drifted children; otherwise dump the main content area
+        const anchor = ['turn', 'libraryRow'].map(n => rows.find(r => r.concept === n))
+          .find(r => r && r.resolved && drifted.length);
+        if (anchor) {
+          log('── SECTION 3: FIRST "' + anchor.concept + '" ELEMENT TREE (depth=' + treeDepth + ') ──');
+          dumpTree(doc.querySelector(anchor.resolved), log, 0, treeDepth);
+          log('');
+        }
+
+        const main = findMainArea(doc);
+        log('── SECTION ' + (anchor ? 4 : 3) + ': MAIN CONTENT AREA TREE (depth=' + treeDepth + ') ──');
+        log('  Found main via ' + main.via);
+        log('');
+        dumpTree(main.el, log, 0, treeDepth);
+        log('');
+        log('═══════════════════════════════════════════════════════════════');
+        return lines.join('\n');
+      };
+
+      return { query, queryAll, selector, status, report };
+    };
+
+    return { create, concepts: CONCEPTS, safeQueryAll, describeEl, dumpTree, customElementCounts };
+  })();
+  // ── END ai-studio-selectors ─────────────────────────────────────────────
+
+  // ── BEGIN ai-studio-updated-dates ───────────────────────────────────────
+  // The Library's Updated column shows relative text ("2 hours ago",
+  // "Yesterday", "Mar 4"). An exact time from a tooltip/title attribute wins;
+  // otherwise the text is resolved against the export time and truncated to
+  // its unit ("3 days ago" → that day's midnight) so reruns give the same
+  // timestamp. That unit is kept as updatedGranularity: the same chat reads
+  // "5 hours ago" today and "7 days ago" next week, so timestamps from
+  // different runs are only compared at the coarser of the two.
+  const AiStudioUpdatedDates = (() => {
+    const UNIT_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+    const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    const GRANULARITIES = ['second', 'minute', 'hour', 'day', 'month', 'year'];
+    // Whole month/day words only — Date.parse reads "Marketing 4" as March 4
+    const MONTH = '(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?)';
+    const DAY = '(sun|mon|tues?|wed(nes)?|thu(rs?)?|fri|sat(ur)?)(day)?';
+    const MONTH_NAMES = new RegExp('\\b' + MONTH + '\\b\\.?', 'gi');
+    const DAY_NAMES = new RegExp('\\b' + DAY + '\\b\\.?', 'gi');
+    const DAY_ONLY = new RegExp('^' + DAY + '\\.?$');
+    const MONTH_DAY = new RegExp('^(' + MONTH + '\\.? \\d{1,2}|\\d{1,2} ' + MONTH + '\\.?)$');
+
+    const startOf = (date, unit) => {
+      const d = new Date(date);
+      d.setMilliseconds(0);
+      if (unit === 'second') return d;
+      d.setSeconds(0);
+      if (unit === 'minute') return d;
+      d.setMinutes(0);
+      if (unit === 'hour') return d;
+      d.setHours(0);
+      if (unit === 'month') d.setDate(1);
+      if (unit === 'year') d.setMonth(0, 1);
+      return d;
+    };
+
+    // ISO 8601, or a month name with a day and a four-digit year and nothing
+    // else wordy → { date, granularity } | null. Date.parse alone reads almost
+    // any text with a number in it as a date ("More options for prompt 2" →
+    // 2001-02-01), and nothing later than the export time is accepted.
+    const parseExplicitDate = (raw, now) => {
+      const text = (raw || '').trim().replace(/\s+at\s+/i, ' ');
+      const iso = /^\d{4}-\d{2}-\d{2}([t ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})?)?$/i.test(text);
+      const named = /\b\d{4}\b/.test(text) && /\b\d{1,2}\b/.test(text) && text.match(MONTH_NAMES) &&
+        !/[a-z]/i.test(text.replace(MONTH_NAMES, '').replace(DAY_NAMES, '').replace(/\b(am|pm|utc|gmt|z)\b/gi, ''));
+      if (!iso && !named) return null;
+      const t = Date.parse(text);
+      if (isNaN(t) || t > now.getTime() + UNIT_MS.day) return null;
+      const granularity = /\d:\d{2}:\d{2}/.test(text) ? 'second' : /\d:\d{2}/.test(text) ? 'minute' : 'day';
+      return { date: new Date(t), granularity };
+    };
+
+    // Exact timestamps the cell may carry besides its visible text
+    const readExactUpdated = (cell, now) => {
+      if (!cell) return null;
+      const candidates = [];
+      [cell, ...cell.querySelectorAll('[title], [aria-label], [data-tooltip], [mattooltip], [ng-reflect-message], time[datetime]')]
+        .forEach(el => ['datetime', 'title', 'aria-label', 'data-tooltip', 'mattooltip', 'ng-reflect-message']
+          .forEach(a => { const v = el.getAttribute(a); if (v) candidates.push(v); }));
+      for (const v of candidates) {
+        const exact = parseExplicitDate(v.replace(/^(last )?(updated|modified|edited)[:\s]*/i, ''), now);
+        if (exact) return exact;
+      }
+      return null;
+    };
+
+    // Relative or partial date text → { date, granularity } | null
+    const parseUpdatedText = (raw, now) => {
+      const text = (raw || '').trim().toLowerCase();
+      if (!text) return null;
+      const at = (date, granularity) => ({ date, granularity });
+      if (/^(just now|now|moments? ago|a few seconds ago)$/.test(text)) return at(startOf(now, 'minute'), 'minute');
+      if (text === 'today') return at(startOf(now, 'day'), 'day');
+      if (text === 'yesterday') return at(startOf(new Date(now.getTime() - UNIT_MS.day), 'day'), 'day');
+
+      const rel = text.match(/^(an?|one|\d+)\s+(second|minute|min|hour|hr|day|week|month|year)s?\s+ago$/);
+      if (rel) {
+        const n = /^\d+$/.test(rel[1]) ? parseInt(rel[1]) : 1;
+        const unit = { min: 'minute', hr: 'hour' }[rel[2]] || rel[2];
+        const d = new Date(now);
+        if (unit === 'month') d.setMonth(d.getMonth() - n);
+        else if (unit === 'year') d.setFullYear(d.getFullYear() - n);
+        else d.setTime(d.getTime() - n * UNIT_MS[unit]);
+        const granularity = unit === 'week' ? 'day' : unit;
+        return at(startOf(d, granularity), granularity);
+      }
+
+      // "10:32 AM" → today (or yesterday if that is still in the future)
+      const time = text.match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/);
+      if (time) {
+        let h = parseInt(time[1]) % (time[3] ? 12 : 24);
+        if (time[3] === 'pm') h += 12;
+        const d = startOf(now, 'day');
+        d.setHours(h, parseInt(time[2]));
+        if (d > now) d.setDate(d.getDate() - 1);
+        return at(d, 'minute');
+      }
+
+      // "Mon", "Tuesday" → the most recent such day before today
+      if (DAY_ONLY.test(text)) {
+        const wd = WEEKDAYS.indexOf(text.slice(0, 3));
+        const d = startOf(now, 'day');
+        d.setDate(d.getDate() - (((d.getDay() - wd) + 7) % 7 || 7));
+        return at(d, 'day');
+      }
+
+      // "Mar 4" has no year — the current one, unless that lands in the future
+      if (MONTH_DAY.test(text)) {
+        const t = Date.parse(text.replace('.', '') + ' ' + now.getFullYear());
+        if (isNaN(t)) return null;
+        const d = new Date(t);
+        if (d > now) d.setFullYear(d.getFullYear() - 1);
+        return at(d, 'day');
+      }
+
+      return parseExplicitDate(raw, now);
+    };
+
+    // → { updated: ISO string or the raw text when unparsable, updatedRaw,
+    //     updatedGranularity: the unit updated is precise to, when parsed }
+    const normalizeUpdated = (raw, cell, now) => {
+      const parsed = readExactUpdated(cell, now) || parseUpdatedText(raw, now);
+      return parsed
+        ? { updated: parsed.date.toISOString(), updatedRaw: raw, updatedGranularity: parsed.granularity }
+        : { updated: raw, updatedRaw: raw };
+    };
+
+    // Same Updated value, compared at the coarser granularity of the two.
+    // Values without one (older snapshots, stored visits) count as day-precise.
+    const sameUpdated = (a, b) => {
+      if ((a.updated || '') === (b.updated || '')) return true;
+      const ta = Date.parse(a.updated);
+      const tb = Date.parse(b.updated);
+      if (isNaN(ta) || isNaN(tb)) return false;
+      const rank = g => GRANULARITIES.includes(g) ? GRANULARITIES.indexOf(g) : GRANULARITIES.indexOf('day');
+      const unit = GRANULARITIES[Math.max(rank(a.updatedGranularity), rank(b.updatedGranularity))];
+      return startOf(ta, unit).getTime() === startOf(tb, unit).getTime();
+    };
+
+    return { startOf, parseExplicitDate, readExactUpdated, parseUpdatedText, normalizeUpdated, sameUpdated };
+  })();
+  // ── END ai-studio-updated-dates ─────────────────────────────────────────
+
+  // ── BEGIN ai-studio-inspector-tools ─────────────────────────────────────
+  const AiStudioInspectorTools = (() => {
+    const { safeQueryAll, describeEl, customElementCounts } = AiStudioSelectors;
+    const { parseUpdatedText, parseExplicitDate } = AiStudioUpdatedDates;
+
+    // Element → { tag, id, classes, attrs, text, children, more } for snapshots.
+    // Only the first maxChildren children are kept; `more` counts the rest.
+    const structureOf = (el, depth = 4, maxChildren = 8) => {
+      const node = { tag: el.tagName.toLowerCase() };
+      if (el.id) node.id = el.id;
+      const cls = typeof el.className === 'string' ? el.className.trim() : '';
+      if (cls) node.classes = cls.split(/\s+/);
+      const attrs = {};
+      Array.from(el.attributes).forEach(a => {
+        if (a.name === 'role' || a.name === 'href' || a.name.startsWith('aria-') || a.name.startsWith('data-')) {
+          attrs[a.name] = a.value.substring(0, 80);
+        }
+      });
+      if (Object.keys(attrs).length) node.attrs = attrs;
+      if (!el.children.length) {
+        const text = (el.textContent || '').trim();
+        if (text) node.text = text.substring(0, 80);
+        return node;
+      }
+      if (depth <= 0) { node.more = el.children.length; return node; }
+      const kids = Array.from(el.children);
+      node.children = kids.slice(0, maxChildren).map(c => structureOf(c, depth - 1, maxChildren));
+      if (kids.length > maxChildren) node.more = kids.length - maxChildren;
+      return node;
+    };
+
+    // ── Selector suggestion ──
+    // Finds repeated sibling structures (same tag under one parent) and ranks
+    // selectors for them by stability and specificity. With an anchor the
+    // group holding the most anchors wins (library rows each hold a /prompts/
+    // link); without one, the group covering the most page text (chat turns).
+    const SUGGEST_TARGETS = {
+      libraryRow: { anchor: 'a[href*="/prompts/"]', fields: ['name', 'link', 'date'] },
+      turn: { anchor: null, fields: ['role', 'text'] },
+    };
+
+    // Angular/Material state and per-instance classes — never worth selecting on
+    const UNSTABLE_CLASS = /^ng-|^cdk-(focused|mouse|keyboard|program|touch)|--(selected|activated|focused|hover)$|^(mat-)?(active|selected|expanded|focused|hovered|disabled)$|\d{3,}/;
+    // Material icons render their ligature as text ("more_vert")
+    const ICONS = 'mat-icon, .material-icons, .material-symbols-outlined, .google-symbols';
+    const ROLE_ATTRS = ['data-turn-role', 'data-role', 'data-author-role', 'data-message-author-role'];
+    const SKIP_TAGS = /^(script|style|noscript|template|svg)$/i;
+
+    const cssEscape = s => s.replace(/([^\w-])/g, '\\$1');
+    const quote = s => "'" + s.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+    const round = n => Math.round(n * 100) / 100;
+    const textLength = el => (el.textContent || '').trim().length;
+    const visibleText = el => {
+      if (el.matches(ICONS)) return '';
+      const copy = el.cloneNode(true);
+      copy.querySelectorAll(ICONS).forEach(n => n.remove());
+      return (copy.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+
+    const stableClasses = el => (typeof el.className === 'string' ? el.className.trim().split(/\s+/) : [])
+      .filter(c => c && !UNSTABLE_CLASS.test(c));
+
+    // Custom elements stand alone; other tags take up to two stable classes
+    const tokenOf = el => {
+      const tag = el.tagName.toLowerCase();
+      if (tag.includes('-')) return tag;
+      return tag + stableClasses(el).slice(0, 2).map(c => '.' + cssEscape(c)).join('');
+    };
+    const stabilityOf = el => el.tagName.includes('-') ? 3 : stableClasses(el).length ? 2 : 1;
+
+    const repeatedGroups = (root, accept, minRepeats) => {
+      const groups = [];
+      [root, ...root.querySelectorAll('*')].forEach(parent => {
+        const byTag = {};
+        Array.from(parent.children).forEach(child => {
+          if (SKIP_TAGS.test(child.tagName) || !accept(child)) return;
+          (byTag[child.tagName] = byTag[child.tagName] || []).push(child);
+        });
+        Object.values(byTag).forEach(members => {
+          if (members.length >= minRepeats) groups.push({ parent, members });
+        });
+      });
+      return groups;
+    };
+
+    // Share of members with the most common shape (tag + child tags)
+    const similarityOf = members => {
+      const shapes = {};
+      members.forEach(m => {
+        const shape = m.tagName + '>' + Array.from(new Set(Array.from(m.children, c => c.tagName))).sort().join(',');
+        shapes[shape] = (shapes[shape] || 0) + 1;
+      });
+      return Math.max(...Object.values(shapes)) / members.length;
+    };
+
+    // Candidate selectors for the members, scored stability × precision ×
+    // recall against the whole document; imprecise ones are retried scoped
+    // to the nearest ancestor with a stable token
+    const rankSelectors = (doc, { parent, members }) => {
+      const first = members[0];
+      const tag = first.tagName.toLowerCase();
+      const custom = tag.includes('-');
+      const bases = [];
+      if (custom) bases.push([tag, 3]);
+      Array.from(first.attributes).forEach(a => {
+        if (a.name.startsWith('data-') && members.every(m => m.hasAttribute(a.name))) {
+          bases.push([tag + '[' + a.name + ']', 3]);
+        } else if (a.name === 'role' && members.every(m => m.getAttribute('role') === a.value)) {
+          bases.push([tag + '[role="' + a.value + '"]', 2]);
+        }
+      });
+      const shared = stableClasses(first).filter(c => members.every(m => m.classList.contains(c)));
+      shared.slice(0, 3).forEach(c => bases.push([tag + '.' + cssEscape(c), custom ? 3 : 2]));
+      if (shared.length > 1) bases.push([tag + shared.slice(0, 2).map(c => '.' + cssEscape(c)).join(''), custom ? 3 : 2]);
+      if (!custom) bases.push([tag, 1]);
+
+      let scope = parent;
+      for (let n = parent, i = 0; n && n.tagName && i < 4; n = n.parentElement, i++) {
+        if (stabilityOf(n) > 1) { scope = n; break; }
+      }
+      const scopePrefix = tokenOf(scope) + (scope === parent ? ' > ' : ' ');
+
+      const memberSet = new Set(members);
+      const rate = (selector, stability) => {
+        const found = safeQueryAll(doc, selector);
+        const hits = found.filter(el => memberSet.has(el)).length;
+        const precision = found.length ? hits / found.length : 0;
+        const recall = hits / members.length;
+        const score = stability / 3 * precision * recall - selector.split(/\s*[\s>]\s*/).length * 0.01;
+        return { selector, stability, matches: found.length, precision: round(precision), recall: round(recall), score: round(score) };
+      };
+      const rated = {};
+      bases.forEach(([sel, stability]) => {
+        const r = rate(sel, stability);
+        rated[sel] = r;
+        if (r.precision < 1) {
+          const scoped = scopePrefix + sel;
+          rated[scoped] = rate(scoped, Math.min(stability === 1 ? 2 : stability, stabilityOf(scope)));
+        }
+      });
+      return Object.values(rated).sort((a, b) => b.score - a.score);
+    };
+
+    // Selector for target inside member: the shortest chain of tokens ending
+    // at target that finds it, else a :scope > … child path
+    const relativeSelector = (member, target) => {
+      if (member === target) return null;
+      const path = [];
+      for (let n = target; n && n !== member; n = n.parentElement) path.unshift(n);
+      for (let i = path.length - 1; i >= 0; i--) {
+        const sel = path.slice(i).map(tokenOf).join(' ');
+        if (safeQueryAll(member, sel)[0] === target) return sel;
+      }
+      return ':scope > ' + path.map(n => {
+        const tag = n.tagName.toLowerCase();
+        const index = Array.from(n.parentElement.children).filter(c => c.tagName === n.tagName).indexOf(n) + 1;
+        return tag + ':nth-of-type(' + index + ')';
+      }).join(' > ');
+    };
+
+    // Field spec → value for one member, and → the same as printed code
+    const readField = (el, f) => {
+      const node = f.selector ? safeQueryAll(el, f.selector)[0] : el;
+      if (f.kind === 'class') return node || el.matches(f.selector) ? f.role : f.otherwise;
+      if (!node) return '';
+      return f.kind === 'attr' ? node.getAttribute(f.attr) || '' : visibleText(node);
+    };
+    const fieldCode = f => {
+      if (f.kind === 'class') {
+        return '(el.matches(' + quote(f.selector) + ') || el.querySelector(' + quote(f.selector) + ')) ? ' +
+          quote(f.role) + ' : ' + quote(f.otherwise);
+      }
+      if (f.kind === 'attr') {
+        return f.selector ? 'attr(el, ' + quote(f.selector) + ', ' + quote(f.attr) + ')' : 'el.getAttribute(' + quote(f.attr) + ')';
+      }
+      return f.selector ? 'text(el, ' + quote(f.selector) + ')' : 'el.textContent.trim()';
+    };
+
+    const inferField = (name, first, members, anchor, now) => {
+      const link = anchor ? (first.matches(anchor) ? first : first.querySelector(anchor)) : null;
+      if (name === 'link') {
+        return link ? { kind: 'attr', selector: link === first ? null : anchor, attr: 'href' } : null;
+      }
+      if (name === 'name') {
+        if (!link) return null;
+        // Link text, or the nearest ancestor with text around an icon-only link
+        let el = link;
+        while (el !== first && !textLength(el)) el = el.parentElement;
+        return { kind: 'text', selector: el === link && link !== first ? anchor : relativeSelector(first, el) };
+      }
+      if (name === 'date') {
+        // Outermost element whose text, icons left out, parses as an Updated
+        // date (the cell) — read with the Library exporter's own parser
+        const el = Array.from(first.querySelectorAll('*')).find(n => parseUpdatedText(visibleText(n), now));
+        return el ? { kind: 'text', selector: relativeSelector(first, el) } : null;
+      }
+      if (name === 'role') {
+        for (const attr of ROLE_ATTRS) {
+          const el = first.hasAttribute(attr) ? first : first.querySelector('[' + attr + ']');
+          if (el) return { kind: 'attr', selector: el === first ? null : '[' + attr + ']', attr };
+        }
+        // No attribute: look for a user/model class on any member
+        for (const m of members) {
+          const el = [m, ...m.querySelectorAll('.user, .model')].find(n => n.classList.contains('user') || n.classList.contains('model'));
+          if (el) {
+            const role = el.classList.contains('user') ? 'user' : 'model';
+            return { kind: 'class', selector: el.tagName.toLowerCase() + '.' + role, role, otherwise: role === 'user' ? 'model' : 'user' };
+          }
+        }
+        return null;
+      }
+      if (name === 'text') {
+        // Deepest custom (else classed) element holding ~all of the text
+        const total = textLength(first);
+        let el = first;
+        let best = null;
+        for (;;) {
+          el = Array.from(el.children).find(c => textLength(c) >= total * 0.8);
+          if (!el) break;
+          if (stabilityOf(el) === 3 || ((!best || stabilityOf(best) < 3) && stabilityOf(el) === 2)) best = el;
+        }
+        return { kind: 'text', selector: best ? relativeSelector(first, best) : null };
+      }
+      return null;
+    };
+
+    const extractionCode = (selector, fields) => [
+      "const text = (root, sel) => { const n = root.querySelector(sel); if (!n) return ''; const c = n.cloneNode(true); " +
+        'c.querySelectorAll(' + quote(ICONS) + ').forEach(i => i.remove()); return c.textContent.trim(); };',
+      "const attr = (root, sel, name) => { const n = root.querySelector(sel); return n ? n.getAttribute(name) : ''; };",
+      'const items = Array.from(document.querySelectorAll(' + quote(selector) + '), el => ({',
+      ...Object.entries(fields).map(([name, f]) => '  ' + name + ': ' + (f ? f.code + ',' : "'', // nothing found")),
+      '}));',
+    ].join('\n');
+
+    // target: a SUGGEST_TARGETS key or { anchor, fields }. known: elements the
+    // registry resolves today, to flag the group that already matches them.
+    const suggestSelectors = (doc, target, { limit = 3, perGroup = 3, minRepeats = 2, known = [], now = new Date() } = {}) => {
+      const spec = typeof target === 'string' ? SUGGEST_TARGETS[target] : target;
+      if (!spec) throw new Error('Unknown suggestion target: ' + target);
+      const root = doc.body;
+      let accept;
+      let groupScore;
+      if (spec.anchor) {
+        const anchors = safeQueryAll(root, spec.anchor);
+        const inside = new Map();   // element → anchors within it, itself included
+        anchors.forEach(a => {
+          for (let n = a; n && n !== root; n = n.parentElement) inside.set(n, (inside.get(n) || 0) + 1);
+        });
+        accept = el => inside.has(el);
+        // Coverage of all anchors, penalised when one member holds several
+        groupScore = members => {
+          const covered = members.reduce((sum, m) => sum + inside.get(m), 0);
+          return { coverage: covered / anchors.length, score: covered / anchors.length * members.length / covered };
+        };
+      } else {
+        const total = textLength(root) || 1;
+        accept = el => textLength(el) > 0;
+        groupScore = members => {
+          const coverage = members.reduce((sum, m) => sum + textLength(m), 0) / total;
+          return { coverage, score: coverage * members.length / (members.length + 1) };
+        };
+      }
+
+      const knownSet = new Set(known);
+      return repeatedGroups(root, accept, minRepeats)
+        .map(g => {
+          const { coverage, score } = groupScore(g.members);
+          const similarity = similarityOf(g.members);
+          return { ...g, coverage, similarity, score: score * similarity };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(g => {
+          const selectors = rankSelectors(doc, g).slice(0, perGroup);
+          const fields = {};
+          spec.fields.forEach(name => {
+            const f = inferField(name, g.members[0], g.members, spec.anchor, now);
+            fields[name] = f && {
+              ...f,
+              code: fieldCode(f),
+              foundIn: g.members.filter(m => readField(m, f)).length,
+              sample: readField(g.members[0], f).substring(0, 60),
+            };
+          });
+          return {
+            parent: describeEl(g.parent, 0),
+            members: g.members.length,
+            coverage: round(g.coverage),
+            similarity: round(g.similarity),
+            score: round(g.score),
+            inRegistry: knownSet.size > 0 && g.members.every(m => knownSet.has(m)),
+            selectors,
+            fields,
+            code: extractionCode(selectors[0].selector, fields),
+          };
+        });
+    };
+
+    // ── Fixtures ──
+    // Self-contained HTML copies of the page for replaying the exporters
+    // offline: custom elements and attributes survive, anything that would
+    // load or run does not.
+    const FIXTURE_DROP = 'script, style, link, iframe, object, embed, noscript';
+    const PIXEL = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+    const SHOW_TEXT = 4;
+
+    const redactText = s => s.replace(/\p{L}|\d/gu, c => /\d/.test(c) ? '0' : /\p{Lu}/u.test(c) ? 'X' : 'x');
+    const escapeAttr = s => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+    // Attributes that can carry page text: labels, tooltips, form values and
+    // data-* payloads. Role markers and true/false states are structure the
+    // exporters read, so they stay.
+    const FREE_TEXT_ATTR = /^(alt|title|placeholder|value|aria-.+|data-.+|mattooltip|ng-reflect-.+)$/i;
+    const STATE_VALUE = /^(true|false|mixed)$/;
+
+    // Inside a kept cell only a tooltip holding an exact date survives
+    // (readExactUpdated's source); labels such as a row menu's aria-label
+    // still name the prompt.
+    const DATE_TOOLTIP_ATTRS = ['mattooltip', 'title'];
+    const isDateTooltip = v => !!parseExplicitDate(v.replace(/^(last )?(updated|modified|edited)[:\s]*/i, ''), new Date());
+
+    const scrubAttributes = (el, redact, keepDates = false) => {
+      Array.from(el.attributes).forEach(a => {
+        if (/^on/i.test(a.name)) el.removeAttribute(a.name);
+        else if (redact && FREE_TEXT_ATTR.test(a.name) && !ROLE_ATTRS.includes(a.name) && !STATE_VALUE.test(a.value) &&
+          !(keepDates && DATE_TOOLTIP_ATTRS.includes(a.name.toLowerCase()) && isDateTooltip(a.value))) {
+          el.setAttribute(a.name, redactText(a.value));
+        }
+      });
+    };
+
+    // selectors: an AiStudioSelectors.create() instance, so concepts (and the
+    // extra fallbacks it was given) resolve the same way as in the report
+    const create = (selectors, { doc = typeof document !== 'undefined' ? document : null } = {}) => {
+      // Per concept: the selector that resolved, every candidate's match count
+      // and the structure of the first match. Concepts are scoped like report().
+      const snapshot = ({ page = '', sampleDepth = 4 } = {}) => {
+        const pages = [].concat(page).filter(Boolean);
+        const concepts = {};
+        selectors.status().forEach(r => {
+          const first = r.resolved ? doc.querySelector(r.resolved) : null;
+          concepts[r.concept] = {
+            page: r.page,
+            optional: r.optional,
+            expected: !pages.length || pages.includes(r.page) || r.page === 'any',
+            resolved: r.resolved,
+            matches: r.resolved ? r.counts.find(c => c.selector === r.resolved).matches : 0,
+            candidates: r.counts,
+            sample: first ? structureOf(first, sampleDepth) : null,
+          };
+        });
+        return {
+          schema: 'ai-studio-dom-snapshot/1',
+          url: doc.location.href,
+          captured_at: new Date().toISOString(),
+          page: pages.length ? pages : undefined,
+          custom_elements: customElementCounts(doc),
+          concepts,
+        };
+      };
+
+      const keepSelectorOf = keep => keep.map(selectors.selector).join(', ');
+
+      // Sanitised deep clone of el. Form values are written out as markup,
+      // images become a 1×1 pixel (original URL kept in data-fixture-src
+      // unless redacting). redact: letters → x/X, digits → 0 in text and
+      // free-text attributes. Inside the concepts listed in keep (e.g. the
+      // library's date cells) text and exact-date tooltips are left as is.
+      const fixtureClone = (el, { redact = false, keep = [] } = {}) => {
+        const clone = el.cloneNode(true);
+        const originals = [el, ...el.querySelectorAll('*')];
+        const copies = [clone, ...clone.querySelectorAll('*')];
+        const keepSelector = keepSelectorOf(keep);
+        const kept = new Set();
+        const isKept = node => {
+          for (let p = node; p; p = p.parentNode) if (kept.has(p)) return true;
+          return false;
+        };
+        originals.forEach((orig, i) => {
+          const copy = copies[i];
+          if (keepSelector && orig.matches(keepSelector)) kept.add(copy);
+          if (orig.tagName === 'TEXTAREA') copy.textContent = orig.value;
+          else if (orig.tagName === 'INPUT' && !/^(password|file|hidden)$/i.test(orig.type)) copy.setAttribute('value', orig.value);
+        });
+
+        safeQueryAll(clone, FIXTURE_DROP).forEach(n => n.remove());
+        copies.forEach(n => {
+          scrubAttributes(n, redact, isKept(n));
+          if (n.tagName !== 'IMG') return;
+          const src = n.getAttribute('src') || '';
+          if (!src.startsWith('data:') && !redact) n.setAttribute('data-fixture-src', src);
+          n.setAttribute('src', PIXEL);
+          n.removeAttribute('srcset');
+        });
+
+        if (redact) {
+          const walker = doc.createTreeWalker(clone, SHOW_TEXT);
+          for (let t = walker.nextNode(); t; t = walker.nextNode()) {
+            if (!isKept(t)) t.nodeValue = redactText(t.nodeValue);
+          }
+        }
+        return clone;
+      };
+
+      // parts: elements to clone now, or { el, clone } for ones cloned earlier
+      // (virtualised turns are only complete while on screen). Each part keeps
+      // its ancestor chain as empty shells, merged where parts share ancestors,
+      // so selectors that rely on context still match.
+      const fixture = (parts, { page = '', redact = false, keep = [] } = {}) => {
+        const body = doc.createElement('body');
+        const shells = new Map();
+        const keepSelector = keepSelectorOf(keep);
+        parts.forEach(part => {
+          const el = part.el || part;
+          let node = part.clone || fixtureClone(el, { redact, keep });
+          for (let p = el.parentElement; p && p !== doc.body && p !== doc.documentElement; p = p.parentElement) {
+            if (shells.has(p)) { shells.get(p).appendChild(node); return; }
+            const shell = p.cloneNode(false);
+            scrubAttributes(shell, redact, !!keepSelector && p.matches(keepSelector));
+            shells.set(p, shell);
+            shell.appendChild(node);
+            node = shell;
+          }
+          body.appendChild(node);
+        });
+        const title = redact ? redactText(doc.title) : doc.title;
+        return [
+          '<!DOCTYPE html>',
+          '<html><head><meta charset="utf-8">',
+          '<title>' + escapeAttr(title) + '</title>',
+          '<meta name="fixture-url" content="' + escapeAttr(doc.location.href) + '">',
+          '<meta name="fixture-page" content="' + escapeAttr(page) + '">',
+          '<meta name="fixture-captured-at" content="' + new Date().toISOString() + '">',
+          '<meta name="fixture-redacted" content="' + redact + '">',
+          '</head>',
+          body.outerHTML,
+          '</html>',
+        ].join('\n');
+      };
+
+      // Ranked selectors for a concept's repeated structure (libraryRow, turn)
+      // with extraction code; the group the registry resolves today is flagged
+      const suggest = (target, options = {}) => {
+        const row = selectors.status().find(r => r.concept === target);
+        const known = row && row.resolved ? safeQueryAll(doc, row.resolved) : [];
+        return suggestSelectors(doc, target, { known, ...options });
+      };
+
+      return { snapshot, suggest, fixtureClone, fixture };
+    };
+
+    return { create, structureOf, suggest: suggestSelectors };
+  })();
+  // ── END ai-studio-inspector-tools ───────────────────────────────────────
+
+  const selectors = AiStudioSelectors.create();
+  const tools = AiStudioInspectorTools.create(selectors);
+
+  // Ranked selectors for each repeated structure the engine found, then the
+  // extraction code for the best one — paste it into the console to check
+  const logSuggestions = (suggestions) => {
+    if (!suggestions.length) { log('  No repeated sibling structures found'); return; }
+    suggestions.forEach((s, i) => {
+      log('  #' + (i + 1) + ' ' + s.members + ' siblings under ' + s.parent +
+        ' — coverage ' + Math.round(s.coverage * 100) + '%, score ' + s.score +
+        (s.inRegistry ? ' (what the registry resolves today)' : ''));
+      s.selectors.forEach(c => log('      "' + c.selector + '" → ' + c.matches + ' match(es), stability ' +
+        c.stability + '/3, precision ' + c.precision + ', score ' + c.score));
+      Object.entries(s.fields).forEach(([name, f]) => log('      ' + name + ': ' +
+        (f ? f.code + '  [' + f.foundIn + '/' + s.members + '] "' + f.sample + '"' : 'nothing found')));
+      log('');
+      s.code.split('\n').forEach(l => log('    ' + l));
+      log('');
+    });
+  };
+
   try {
     log('═══════════════════════════════════════════════════════════════');
     log('  AI STUDIO LIBRARY PAGE — DOM INSPECTION REPORT');
@@ -237,12 +1070,31 @@
     });
 
     log('');
+
+    // ── Section 9: Suggested row selectors ───────────────────────────────
+    log('── SECTION 9: SUGGESTED ROW SELECTORS (repeated siblings holding /prompts/ links) ──');
+    const suggestions = tools.suggest('libraryRow');
+    logSuggestions(suggestions);
+
     log('═══════════════════════════════════════════════════════════════');
     log('  DONE');
     log('═══════════════════════════════════════════════════════════════');
 
     downloadFile(lines.join('\n'), 'library_dom_report_' + Date.now() + '.txt');
-    overlay.textContent = '✅ Done! Report downloaded & logged to console.';
+    downloadFile(JSON.stringify({ ...tools.snapshot({ page: 'library' }), suggestions }, null, 2),
+      'library_dom_snapshot_' + Date.now() + '.json', 'application/json');
+    if (CONFIG.saveFixture) {
+      // The table wrapper, else the table around the first row, else the main area
+      const firstRow = selectors.query('libraryRow');
+      const fixtureRoot = selectors.query('libraryTableWrapper') ||
+        (firstRow && firstRow.closest('table')) || mainEl || document.body;
+      downloadFile(tools.fixture([fixtureRoot], {
+        page: 'library',
+        redact: CONFIG.redactFixture,
+        keep: ['libraryTypeCell', 'libraryUpdatedCell'],
+      }), 'library_fixture_' + Date.now() + '.html', 'text/html');
+    }
+    overlay.textContent = '✅ Done! Report + JSON snapshot' + (CONFIG.saveFixture ? ' + fixture' : '') + ' downloaded.';
     await sleep(3000);
   } catch (err) {
     log('FATAL: ' + err.message);
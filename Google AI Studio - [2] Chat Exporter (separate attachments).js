@@ -3,8 +3,21 @@
 // =============================================================================
 // - Converts rendered HTML back to proper Markdown
 // - Handles ms-cmark-node wrappers for lists, tables, inline code
+// - KaTeX/MathML, task lists, footnotes, <details>, HTML fallback for complex tables
 // - Extracts base64 images as separate files, references by filename
+// - Saves file attachments (PDF, audio, video, text) + a manifest of missing ones
+// - exportFormat 'zip': one archive with images/ and attachments/ folders
 // - Per-turn scrolling to defeat virtual scrolling
+// - Turn checkpoints in IndexedDB: resumable + incremental re-export
+// - Compare mode: turn-aligned word diff against a previous JSON export
+// - API formats: Gemini generateContent, OpenAI messages, fine-tuning JSONL
+// - Run settings (model, sampling, safety, tools, tokens) in JSON + front matter
+// - Code execution, function calls and grounding sources as typed parts
+// - HTML transcript (bubbles, collapsible thinking, highlighted code) + print-to-PDF
+// - Branch-aware: rerun/edit alternatives walked and exported as a parent/children tree
+// - Selector registry with fallbacks; a drift report is downloaded when nothing matches
+// - Turn range / role / length / text filters and an overlay picker before extraction
+// - Rendered turns are read without scrolling; observers replace the fixed per-turn sleeps
 // - CSP/TrustedTypes safe
 // =============================================================================
 
@@ -13,10 +26,23 @@
 
     const CONFIG = {
       scrollDelayMs: 400,
-      exportFormat: 'both',     // 'markdown', 'json', or 'both'
+      fastExtraction: true,     // read already-rendered turns in place; observer waits instead of fixed sleeps
+      renderTimeoutMs: 2000,    // longest wait for a scrolled-to turn (or opened thinking panel) to render
+      exportFormat: 'both',     // 'markdown', 'json', 'both', or 'zip' (md + json + files in one archive)
       includeThinking: true,
       includeSystemPrompt: true,
+      includeRunSettings: true, // model, sampling params, safety, tools and token counts
       extractImages: true,      // save base64 images as separate files
+      checkpoint: true,         // persist extracted turns to IndexedDB (resume + incremental)
+      compareWithPrevious: false, // pick a previous JSON export and download a turn-aligned diff
+      apiFormats: [],           // extra replayable outputs: 'gemini', 'openai', 'jsonl'
+      turnRange: null,          // [from, to] 1-based and inclusive, e.g. [40, 75]; [40] = from 40 on
+      roles: [],                // only these roles, e.g. ['model']; empty = all
+      minLength: 0,             // drop turns whose content is shorter than this many chars
+      match: '',                // keep turns containing this text, or a '/regex/flags' string
+      pickTurns: false,         // tick the turns to export in the overlay before extraction
+      exportBranches: false,    // walk rerun/edit alternatives of each turn and export them as a tree
+      transcriptFormats: [],    // 'html' (styled standalone page), 'pdf' (same page in the print dialog)
     };
 
     const sleep = ms => new Promise(r => setTimeout(r, ms));
@@ -73,6 +99,105 @@
       console.log('[Exporter] ' + msg + (detail ? ' — ' + detail : ''));
     };
 
+    // The base64 Chat Exporter and the Library Page Exporter embed this block
+    // verbatim — edit it here first, then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN json-file-picker ──────────────────────────────────────────────
+    // CSP-safe file picker rendered inside the overlay. Resolves with the parsed
+    // JSON, or null when the user skips.
+    const pickJsonFile = (label) => new Promise(resolve => {
+      const box = document.createElement('div');
+      Object.assign(box.style, { marginTop: '12px', display: 'flex', flexDirection: 'column', gap: '8px' });
+      const lbl = document.createElement('div');
+      Object.assign(lbl.style, { fontSize: '12px', color: '#aaa' });
+      lbl.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      Object.assign(input.style, { fontSize: '12px', color: '#e0e0e0' });
+      const skipBtn = document.createElement('button');
+      skipBtn.textContent = 'Skip';
+      Object.assign(skipBtn.style, {
+        alignSelf: 'flex-start', padding: '6px 16px', borderRadius: '8px', border: 'none',
+        cursor: 'pointer', fontSize: '12px', background: '#333', color: '#ccc',
+      });
+      const done = (value) => { box.remove(); resolve(value); };
+      input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try { done(JSON.parse(await file.text())); }
+        catch (e) { lbl.textContent = '⚠️ ' + file.name + ' is not valid JSON — pick another file.'; }
+      });
+      skipBtn.addEventListener('click', () => done(null));
+      box.appendChild(lbl);
+      box.appendChild(input);
+      box.appendChild(skipBtn);
+      overlay.appendChild(box);
+    });
+    // ── END json-file-picker ────────────────────────────────────────────────
+
+    // Checklist of turns in the overlay → Promise<Set<turnIndex> | null (cancelled)>
+    const pickTurns = (rows) => new Promise(resolve => {
+      const box = document.createElement('div');
+      Object.assign(box.style, { marginTop: '12px', display: 'flex', flexDirection: 'column', gap: '8px', maxWidth: '440px' });
+      const lbl = document.createElement('div');
+      Object.assign(lbl.style, { fontSize: '12px', color: '#aaa' });
+      lbl.textContent = 'Tick the turns to export:';
+      const list = document.createElement('div');
+      Object.assign(list.style, {
+        maxHeight: '50vh', overflowY: 'auto', fontSize: '12px', display: 'flex', flexDirection: 'column', gap: '2px',
+        border: '1px solid #333', borderRadius: '8px', padding: '6px 8px',
+      });
+      const boxes = rows.map(r => {
+        const row = document.createElement('label');
+        Object.assign(row.style, { display: 'flex', gap: '6px', alignItems: 'baseline', cursor: 'pointer', whiteSpace: 'nowrap' });
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = true;
+        const text = document.createElement('span');
+        Object.assign(text.style, { overflow: 'hidden', textOverflow: 'ellipsis' });
+        text.textContent = '#' + (r.index + 1) + ' ' + (r.role === 'user' ? '👤' : r.role === 'model' ? '🤖' : '❔') + ' ' + r.preview;
+        row.appendChild(cb);
+        row.appendChild(text);
+        list.appendChild(row);
+        return cb;
+      });
+
+      const btnRow = document.createElement('div');
+      Object.assign(btnRow.style, { display: 'flex', gap: '8px' });
+      const makeBtn = (label, primary) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        Object.assign(btn.style, {
+          padding: '6px 14px', borderRadius: '8px', border: 'none', cursor: 'pointer', fontSize: '12px',
+          background: primary ? '#7c9cff' : '#333', color: primary ? '#1a1a2e' : '#ccc',
+        });
+        btnRow.appendChild(btn);
+        return btn;
+      };
+      const allBtn = makeBtn('All', false);
+      const noneBtn = makeBtn('None', false);
+      const exportBtn = makeBtn('', true);
+      const cancelBtn = makeBtn('Cancel', false);
+      const refresh = () => {
+        const n = boxes.filter(cb => cb.checked).length;
+        exportBtn.textContent = 'Export ' + n;
+        exportBtn.disabled = n === 0;
+      };
+      boxes.forEach(cb => cb.addEventListener('change', refresh));
+      allBtn.addEventListener('click', () => { boxes.forEach(cb => { cb.checked = true; }); refresh(); });
+      noneBtn.addEventListener('click', () => { boxes.forEach(cb => { cb.checked = false; }); refresh(); });
+      refresh();
+
+      const done = (value) => { box.remove(); resolve(value); };
+      exportBtn.addEventListener('click', () => done(new Set(rows.filter((r, i) => boxes[i].checked).map(r => r.index))));
+      cancelBtn.addEventListener('click', () => done(null));
+      box.appendChild(lbl);
+      box.appendChild(list);
+      box.appendChild(btnRow);
+      overlay.appendChild(box);
+    });
+
     // ══════════════════════════════════════════════════════════════════════════
     // ── Image collector ─────────────────────────────────────────────────────
     // ══════════════════════════════════════════════════════════════════════════
@@ -106,196 +231,1530 @@
       return name;
     };
 
+    // A variant walk re-extracts its turn, and the turns after it, once per
+    // alternative. While one runs this holds the collectedImages and
+    // collectedAttachments lengths when the turn started, and sources collected
+    // since then map back to their first entry instead of a numbered copy.
+    let reuseSince = null;
+
+    // data: or blob: image → filename it is exported under
+    const collectImage = (src, alt) => {
+      const isBlob = src.startsWith('blob:');
+      const commaIdx = src.indexOf(',');
+      const b64 = commaIdx === -1 ? '' : src.substring(commaIdx + 1);
+      const known = reuseSince && collectedImages.slice(reuseSince.images)
+        .find(img => isBlob ? img.blobUrl === src : !!b64 && img.base64data === b64);
+      if (known) return known.filename;
+
+      if (isBlob) {
+        // Blob URLs — fetched when the files are saved
+        const filename = getImageFilename('data:image/png', alt);
+        collectedImages.push({ filename, mimeType: 'image/png', blobUrl: src });
+        return filename;
+      }
+      const filename = getImageFilename(src, alt);
+      if (commaIdx !== -1) {
+        const mimeMatch = src.match(/^data:(image\/[^;]+)/);
+        const mimeType = mimeMatch ? mimeMatch[1] : 'image/png';
+        collectedImages.push({ filename, mimeType, base64data: b64 });
+      }
+      return filename;
+    };
+
+    // ── File attachments (PDF, audio, video, text) ──
+    // Stores { filename, originalName, mimeType, turnIndex, src } — src is a
+    // blob:/data:/same-origin URL when the page holds the bytes, else ''.
+    const collectedAttachments = [];
+
+    const ATTACHMENT_SELECTOR =
+      'ms-file-chunk, ms-document-chunk, ms-pdf-chunk, ms-audio-chunk, ms-video-chunk, ' +
+      'ms-text-file-chunk, [class*="file-chunk"], [class*="file-chip"], [class*="attachment-chip"]';
+
+    const MIME_BY_EXT = {
+      pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown', csv: 'text/csv',
+      json: 'application/json', html: 'text/html', xml: 'application/xml',
+      py: 'text/x-python', js: 'text/javascript', ts: 'text/plain',
+      mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', m4a: 'audio/mp4', flac: 'audio/flac',
+      mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', mkv: 'video/x-matroska',
+    };
+    const EXT_BY_MIME = Object.fromEntries(Object.entries(MIME_BY_EXT).map(([ext, mime]) => [mime, ext]));
+
+    const uniqueAttachmentName = (name) => {
+      const taken = new Set([...collectedImages, ...collectedAttachments].map(f => f.filename));
+      const safe = name.replace(/[^a-z0-9_\-\s.()]/gi, '').replace(/\s+/g, '_').substring(0, 100) || 'attachment';
+      if (!taken.has(safe)) return safe;
+      const dot = safe.lastIndexOf('.');
+      const stem = dot > 0 ? safe.substring(0, dot) : safe;
+      const ext = dot > 0 ? safe.substring(dot) : '';
+      let n = 2;
+      while (taken.has(stem + '_' + n + ext)) n++;
+      return stem + '_' + n + ext;
+    };
+
+    const isSameOrigin = (url) => {
+      try { return new URL(url, window.location.href).origin === window.location.origin; } catch (e) { return false; }
+    };
+
+    // fetch() only rejects on network errors — an HTTP error is a failure too
+    const fetchBlob = async (url) => {
+      const resp = await fetch(url);
+      if (!resp.ok) throw new Error('HTTP ' + resp.status + (resp.statusText ? ' ' + resp.statusText : ''));
+      return resp.blob();
+    };
+
+    const collectAttachments = (turn, turnIndex) => {
+      const found = [];
+      turn.querySelectorAll(ATTACHMENT_SELECTOR).forEach(chip => {
+        if (chip.parentElement && chip.parentElement.closest(ATTACHMENT_SELECTOR)) return;
+        if (chip.closest('ms-image-chunk')) return;
+
+        const nameEl = chip.querySelector('.name, .file-name, [class*="file-name"], [class*="filename"], .title');
+        const mediaEl = chip.querySelector(
+          'audio[src], video[src], source[src], embed[src], object[data], iframe[src], a[download][href], ' +
+          'a[href^="blob:"], a[href^="data:"]'
+        );
+        const src = mediaEl
+          ? (mediaEl.getAttribute('src') || mediaEl.getAttribute('data') || mediaEl.getAttribute('href') || '') : '';
+        let originalName = (nameEl && nameEl.textContent.trim()) || chip.getAttribute('title') ||
+          (mediaEl && mediaEl.getAttribute('download')) || '';
+
+        const dataMime = (src.match(/^data:([^;,]+)/) || [])[1];
+        const extMatch = originalName.match(/\.(\w+)$/);
+        const kind = chip.tagName.toLowerCase().match(/audio|video|pdf|text/);
+        const mimeType = (mediaEl && mediaEl.getAttribute('type')) || dataMime ||
+          (extMatch && MIME_BY_EXT[extMatch[1].toLowerCase()]) ||
+          (kind ? { audio: 'audio/mpeg', video: 'video/mp4', pdf: 'application/pdf', text: 'text/plain' }[kind[0]] : '') ||
+          'application/octet-stream';
+        if (!originalName) originalName = 'attachment_' + (collectedAttachments.length + 1);
+        if (!extMatch && EXT_BY_MIME[mimeType]) originalName += '.' + EXT_BY_MIME[mimeType];
+
+        // Only bytes the page already holds: blob:, data: or same-origin URLs
+        const retrievable = /^(blob|data):/.test(src) || (!!src && isSameOrigin(src));
+
+        const known = reuseSince && collectedAttachments.slice(reuseSince.attachments).find(a => retrievable
+          ? a.src === src : !a.src && a.turnIndex === turnIndex && a.originalName === originalName);
+        if (known) { found.push(known); return; }
+
+        const att = {
+          filename: uniqueAttachmentName(originalName),
+          originalName, mimeType, turnIndex,
+          src: retrievable ? src : '',
+          ...(retrievable ? {} : { sourceUrl: src || undefined }),
+        };
+        collectedAttachments.push(att);
+        found.push(att);
+      });
+      return found;
+    };
+
     // ══════════════════════════════════════════════════════════════════════════
-    // ── HTML-to-Markdown converter ──────────────────────────────────────────
+    // ── ZIP writer ──────────────────────────────────────────────────────────
     // ══════════════════════════════════════════════════════════════════════════
+    //
+    // The Library Page Exporter embeds this block verbatim — edit it here
+    // first, then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN zip-writer ────────────────────────────────────────────────────
+    // Minimal in-snippet writer: STORE entries (images are already compressed),
+    // UTF-8 names, no ZIP64. Builds a Blob — nothing is injected into the page.
+
+    const CRC_TABLE = (() => {
+      const t = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+      }
+      return t;
+    })();
 
-    const htmlToMarkdown = (rootEl) => {
-      const root = rootEl.cloneNode(true);
+    const crc32 = (bytes) => {
+      let c = 0xFFFFFFFF;
+      for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+      return (c ^ 0xFFFFFFFF) >>> 0;
+    };
 
-      // Remove UI chrome
-      root.querySelectorAll(
-        'ms-chat-turn-options, button, mat-icon, ' +
-        '[aria-label="Copy"], [aria-label="Edit"], ' +
-        '.action-buttons, .feedback-buttons, [class*="thumb"], ' +
-        '[class*="copy-button"], .overflow-menu, .edit-button, ' +
-        '.turn-role-label, .role-label'
-      ).forEach(n => n.remove());
+    const createZip = () => {
+      const files = [];
+      const enc = new TextEncoder();
+
+      return {
+        // data: string | Blob | Uint8Array
+        add: async (path, data) => {
+          const bytes = typeof data === 'string' ? enc.encode(data)
+            : data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+          files.push({ path, bytes });
+        },
+        size: () => files.length,
+        toBlob: () => {
+          const now = new Date();
+          const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+          const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+          const local = [], central = [];
+          let offset = 0;
+
+          files.forEach(f => {
+            const name = enc.encode(f.path);
+            const crc = crc32(f.bytes);
+
+            const lh = new DataView(new ArrayBuffer(30));
+            lh.setUint32(0, 0x04034b50, true);   // local file header
+            lh.setUint16(4, 20, true);           // version needed
+            lh.setUint16(6, 0x0800, true);       // UTF-8 names
+            lh.setUint16(8, 0, true);            // STORE
+            lh.setUint16(10, dosTime, true);
+            lh.setUint16(12, dosDate, true);
+            lh.setUint32(14, crc, true);
+            lh.setUint32(18, f.bytes.length, true);
+            lh.setUint32(22, f.bytes.length, true);
+            lh.setUint16(26, name.length, true);
+            local.push(lh.buffer, name, f.bytes);
+
+            const ch = new DataView(new ArrayBuffer(46));
+            ch.setUint32(0, 0x02014b50, true);   // central directory header
+            ch.setUint16(4, 20, true);
+            ch.setUint16(6, 20, true);
+            ch.setUint16(8, 0x0800, true);
+            ch.setUint16(12, dosTime, true);
+            ch.setUint16(14, dosDate, true);
+            ch.setUint32(16, crc, true);
+            ch.setUint32(20, f.bytes.length, true);
+            ch.setUint32(24, f.bytes.length, true);
+            ch.setUint16(28, name.length, true);
+            ch.setUint32(42, offset, true);
+            central.push(ch.buffer, name);
+
+            offset += 30 + name.length + f.bytes.length;
+          });
 
-      const convert = (node) => {
-        if (node.nodeType === Node.TEXT_NODE) return node.textContent || '';
-        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+          const cdSize = central.reduce((n, c) => n + c.byteLength, 0);
+          const end = new DataView(new ArrayBuffer(22));
+          end.setUint32(0, 0x06054b50, true);    // end of central directory
+          end.setUint16(8, files.length, true);
+          end.setUint16(10, files.length, true);
+          end.setUint32(12, cdSize, true);
+          end.setUint32(16, offset, true);
 
-        const tag = node.tagName.toLowerCase();
+          return new Blob([...local, ...central, end.buffer], { type: 'application/zip' });
+        },
+      };
+    };
+    // ── END zip-writer ──────────────────────────────────────────────────────
 
-        // ── Transparent wrappers ──
-        if (tag === 'ms-cmark-node' || tag === 'ms-text-chunk' || tag === 'ms-prompt-chunk') {
-          return Array.from(node.childNodes).map(convert).join('');
-        }
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Selector registry ───────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of "Google AI Studio - [0] Selector Registry.js" — change
+    // it there first, then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN ai-studio-selectors ───────────────────────────────────────────
+    const AiStudioSelectors = (() => {
+      // page: where the concept is expected — the report only flags those.
+      // optional: legitimately absent (no thinking, short list), never flagged.
+      const CONCEPTS = {
+        // Prompts (chat) page
+        turn: { page: 'prompts', candidates: ['ms-chat-turn', '[data-turn-id]', '.chat-turn-container'] },
+        turnRole: { page: 'prompts', candidates: ['[data-turn-role]', '[data-role]', '.chat-turn-container.user, .chat-turn-container.model'] },
+        textChunk: { page: 'prompts', candidates: ['ms-prompt-chunk.text-chunk', '[class*="text-chunk"]'] },
+        markdownRoot: { page: 'prompts', candidates: ['ms-cmark-node.cmark-node', 'ms-cmark-node', '.markdown'] },
+        thoughtChunk: { optional: true, page: 'prompts', candidates: ['ms-thought-chunk', '[class*="thought-chunk"]'] },
+        thoughtPanel: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel.thought-panel', 'ms-thought-chunk mat-expansion-panel', 'ms-thought-chunk details'] },
+        thoughtHeader: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel-header', 'summary', '[role="button"][aria-expanded]'] },
+        chatScroller: { optional: true, page: 'prompts', candidates: ['ms-autoscroll-container', '.chat-view-container', '[class*="chat-container"]'] },
+        title: { optional: true, page: 'prompts', candidates: ['span.title-input', '[aria-label="prompt title"]', 'h1.mode-title, h1'] },
+        systemInstructions: { optional: true, page: 'prompts', candidates: ['ms-system-instructions-panel textarea', 'textarea[aria-label*="system" i]'] },
+        // Composer controls (new_chat page, used by the importer)
+        promptInput: { page: 'compose', candidates: ['ms-prompt-input-wrapper textarea', 'ms-chunk-input textarea', 'textarea[aria-label*="prompt" i]', 'footer textarea'] },
+        addTurnButton: { page: 'compose', candidates: ['button[aria-label*="add to chat" i]', 'button[aria-label*="without running" i]', 'button[aria-label="Add"]'] },
+        turnRoleToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="switch role" i]', 'button[aria-label*="change role" i]', 'button[aria-label*="role" i]'] },
+        systemInstructionsToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="system instructions" i]', 'ms-system-instructions button', '[data-test-system-instructions-card]'] },
+        // Library page
+        libraryTableWrapper: { optional: true, page: 'library', candidates: ['div.lib-table-wrapper', 'ms-library-table', 'cdk-virtual-scroll-viewport'] },
+        libraryRow: { page: 'library', candidates: ['table.library-table tr.mat-mdc-row, table.library-table tr.cdk-row', 'tr.mat-mdc-row, tr.cdk-row', 'table tbody tr'] },
+        libraryNameCell: { page: 'library', candidates: ['td.cdk-column-name, td.mat-column-name', 'td:nth-child(1)'] },
+        libraryDescriptionCell: { optional: true, page: 'library', candidates: ['td.cdk-column-description, td.mat-column-description', 'td:nth-child(2)'] },
+        libraryTypeCell: { page: 'library', candidates: ['td.cdk-column-type, td.mat-column-type', 'td:nth-child(3)'] },
+        libraryUpdatedCell: { page: 'library', candidates: ['td.cdk-column-updated, td.mat-column-updated', 'td:nth-child(4)'] },
+        // Both pages (sidebar)
+        promptLink: { optional: true, page: 'any', candidates: ['a.prompt-link[href*="/prompts/"]', 'a[href*="/prompts/"]'] },
+      };
+
+      const ELEMENT_NODE = 1;
+      const TEXT_NODE = 3;
 
-        const children = () => Array.from(node.childNodes).map(convert).join('');
+      const safeQueryAll = (root, sel) => {
+        try { return Array.from(root.querySelectorAll(sel)); } catch (e) { return []; }
+      };
 
-        // ── Headings h1–h6 ──
-        if (tag === 'h1' || tag === 'h2' || tag === 'h3' ||
-            tag === 'h4' || tag === 'h5' || tag === 'h6') {
-          const level = parseInt(tag.charAt(1));
-          return '\n\n' + '#'.repeat(level) + ' ' + children().trim() + '\n\n';
+      // ── Tree dump (from the DOM Inspector snippets) ──
+      const describeEl = (el, maxText = 100) => {
+        const tag = el.tagName.toLowerCase();
+        const cls = el.className && typeof el.className === 'string' && el.className.trim()
+          ? '.' + el.className.trim().split(/\s+/).slice(0, 5).join('.') : '';
+        const id = el.id ? '#' + el.id : '';
+        const role = el.getAttribute('role') ? ' [role=' + el.getAttribute('role') + ']' : '';
+        const href = el.getAttribute('href') ? ' [href="' + el.getAttribute('href').substring(0, 80) + '"]' : '';
+        const ariaLabel = el.getAttribute('aria-label')
+          ? ' [aria-label="' + el.getAttribute('aria-label').substring(0, 60) + '"]' : '';
+        const dataAttrs = Array.from(el.attributes)
+          .filter(a => a.name.startsWith('data-'))
+          .map(a => ' [' + a.name + '="' + a.value.substring(0, 60) + '"]')
+          .join('');
+        const text = (el.textContent || '').trim().substring(0, maxText).replace(/\n/g, '\\n');
+        const textStr = text ? ' text="' + text + (text.length >= maxText ? '…' : '') + '"' : '';
+        return '<' + tag + id + cls + role + href + ariaLabel + dataAttrs + '>' + textStr;
+      };
+
+      const dumpTree = (el, log, indent = 0, maxDepth = 8) => {
+        const pad = '  '.repeat(indent);
+        if (indent > maxDepth) { log(pad + '... (depth limit)'); return; }
+
+        if (el.nodeType === TEXT_NODE) {
+          const t = el.textContent.trim();
+          if (t) log(pad + '#text "' + t.substring(0, 100).replace(/\n/g, '\\n') + '"');
+          return;
         }
+        if (el.nodeType !== ELEMENT_NODE) return;
 
-        // ── Paragraphs ──
-        if (tag === 'p') {
-          const text = children().trim();
-          return text ? '\n\n' + text + '\n\n' : '';
+        const childCount = el.children.length;
+        log(pad + describeEl(el, 80) + (childCount > 0 ? ' [' + childCount + ' ch]' : ''));
+        Array.from(el.childNodes).forEach(child => dumpTree(child, log, indent + 1, maxDepth));
+      };
+
+      const customElementCounts = (doc) => {
+        const counts = {};
+        doc.querySelectorAll('*').forEach(el => {
+          const tag = el.tagName.toLowerCase();
+          if (tag.includes('-')) counts[tag] = (counts[tag] || 0) + 1;
+        });
+        return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+      };
+
+      const findMainArea = (doc) => {
+        for (const sel of ['main', '[role="main"]', '.main-content', 'ms-library', 'ms-chunk-editor', 'ms-prompt-switcher']) {
+          const el = doc.querySelector(sel);
+          if (el) return { el, via: '"' + sel + '"' };
         }
+        const outlet = doc.querySelector('router-outlet');
+        if (outlet && outlet.nextElementSibling) return { el: outlet.nextElementSibling, via: 'router-outlet sibling' };
+        return { el: doc.body, via: 'document.body' };
+      };
 
-        if (tag === 'br') return '\n';
-        if (tag === 'hr') return '\n\n---\n\n';
+      const create = ({ concepts = {}, doc = typeof document !== 'undefined' ? document : null } = {}) => {
+        const registry = {};
+        Object.keys(CONCEPTS).forEach(name => {
+          registry[name] = { ...CONCEPTS[name], candidates: [...(concepts[name] || []), ...CONCEPTS[name].candidates] };
+        });
+        Object.keys(concepts).forEach(name => {
+          if (!registry[name]) registry[name] = { page: 'any', candidates: [...concepts[name]] };
+        });
 
-        // ── Blockquotes ──
-        if (tag === 'blockquote') {
-          return '\n\n' + children().trim().split('\n').map(l => '> ' + l).join('\n') + '\n\n';
+        const misses = {};    // concept → times every candidate came back empty
+
+        const candidatesOf = (name) => {
+          if (!registry[name]) throw new Error('Unknown selector concept: ' + name);
+          return registry[name].candidates;
+        };
+
+        const queryAll = (name, root = doc) => {
+          for (const sel of candidatesOf(name)) {
+            const found = safeQueryAll(root, sel);
+            if (found.length) return found;
+          }
+          misses[name] = (misses[name] || 0) + 1;
+          return [];
+        };
+
+        const query = (name, root = doc) => queryAll(name, root)[0] || null;
+
+        // Every candidate as one selector list, for closest() / matches()
+        const selector = name => candidatesOf(name).join(', ');
+
+        const status = () => Object.keys(registry).map(name => {
+          const counts = registry[name].candidates.map(sel => ({ selector: sel, matches: safeQueryAll(doc, sel).length }));
+          const hit = counts.find(c => c.matches > 0);
+          return {
+            concept: name, page: registry[name].page, optional: !!registry[name].optional,
+            resolved: hit ? hit.selector : null, counts, misses: misses[name] || 0,
+          };
+        });
+
+        // page: 'prompts' | 'library' | 'compose', or a list of them — concepts
+        // for other pages are listed but not flagged as drifted
+        const report = ({ reason = '', page = '', treeDepth = 6 } = {}) => {
+          const lines = [];
+          const log = (...args) => lines.push(args.join(' '));
+          const rows = status();
+          const pages = [].concat(page).filter(Boolean);
+          const expected = r => !pages.length || pages.includes(r.page) || r.page === 'any';
+          const drifted = rows.filter(r => !r.resolved && !r.optional && expected(r));
+
+          log('═══════════════════════════════════════════════════════════════');
+          log('  AI STUDIO SELECTOR DRIFT REPORT');
+          log('  URL: ' + doc.location.href);
+          log('  Time: ' + new Date().toISOString());
+          if (reason) log('  Reason: ' + reason);
+          log('═══════════════════════════════════════════════════════════════');
+          log('');
+
+          log('── SECTION 1: SELECTOR REGISTRY ──');
+          rows.forEach(r => {
+            const flagged = !r.resolved && !r.optional && expected(r);
+            const mark = r.resolved ? '✔' : flagged ? '✘' : '·';
+            log('  ' + mark + ' ' + r.concept + ' (' + r.page + ')' +
+              (r.resolved ? ' → "' + r.resolved + '"'
+                : flagged ? ' — no fallback matched'
+                : expected(r) ? ' — optional, not present' : ' — not on this page') +
+              (r.misses ? ' [' + r.misses + ' empty lookups]' : ''));
+            if (flagged || (r.resolved && r.resolved !== r.counts[0].selector)) {
+              r.counts.forEach(c => log('      "' + c.selector + '" → ' + c.matches));
+            }
+          });
+          log('');
+          log('  Drifted: ' + (drifted.length ? drifted.map(r => r.concept).join(', ') : 'none'));
+          log('');
+
+          log('── SECTION 2: ALL CUSTOM ELEMENTS ON PAGE ──');
+          Object.entries(customElementCounts(doc)).forEach(([tag, count]) => log('  ' + tag + ' × ' + count));
+          log('');
+
+          // A resolved container concept is the best place to look for its
+          // drifted children; otherwise dump the main content area
+          const anchor = ['turn', 'libraryRow'].map(n => rows.find(r => r.concept === n))
+            .find(r => r && r.resolved && drifted.length);
+          if (anchor) {
+            log('── SECTION 3: FIRST "' + anchor.concept + '" ELEMENT TREE (depth=' + treeDepth + ') ──');
+            dumpTree(doc.querySelector(anchor.resolved), log, 0, treeDepth);
+            log('');
+          }
+
+          const main = findMainArea(doc);
+          log('── SECTION ' + (anchor ? 4 : 3) + ': MAIN CONTENT AREA TREE (depth=' + treeDepth + ') ──');
+          log('  Found main via ' + main.via);
+          log('');
+          dumpTree(main.el, log, 0, treeDepth);
+          log('');
+          log('═══════════════════════════════════════════════════════════════');
+          return lines.join('\n');
+        };
+
+        return { query, queryAll, selector, status, report };
+      };
+
+      return { create, concepts: CONCEPTS, safeQueryAll, describeEl, dumpTree, customElementCounts };
+    })();
+    // ── END ai-studio-selectors ─────────────────────────────────────────────
+
+    const selectors = AiStudioSelectors.create();
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Turn checkpoint store (IndexedDB) ───────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // turns: [promptId, turnIndex] → { hash, settings, data, images, attachments, savedAt }
+    // runs:  promptId              → { status, settings, turnCount, nextIndex, counts, updatedAt }
+    //
+    // An 'in-progress' run with the same turn count is resumed from nextIndex.
+    // Otherwise every turn is fingerprinted and only new/changed ones are re-extracted.
+    // settings fingerprints the CONFIG that shapes a turn's data — checkpoints
+    // saved under other settings are never reused.
+
+    const openCheckpointDb = () => new Promise((resolve, reject) => {
+      const req = indexedDB.open('ai-studio-exporter', 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('turns')) db.createObjectStore('turns', { keyPath: ['promptId', 'turnIndex'] });
+        if (!db.objectStoreNames.contains('runs')) db.createObjectStore('runs', { keyPath: 'promptId' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    const idbRequest = (db, storeName, mode, fn) => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    const createCheckpointStore = async (promptId) => {
+      if (!CONFIG.checkpoint || !window.indexedDB) return null;
+      let db;
+      try { db = await openCheckpointDb(); }
+      catch (e) { console.warn('[Exporter] Checkpoint store unavailable', e); return null; }
+      return {
+        getTurn: i => idbRequest(db, 'turns', 'readonly', s => s.get([promptId, i])),
+        putTurn: (i, record) => idbRequest(db, 'turns', 'readwrite',
+          s => s.put({ promptId, turnIndex: i, ...record, savedAt: Date.now() })),
+        pruneFrom: i => idbRequest(db, 'turns', 'readwrite',
+          s => s.delete(IDBKeyRange.bound([promptId, i], [promptId, Infinity]))),
+        getRun: () => idbRequest(db, 'runs', 'readonly', s => s.get(promptId)),
+        putRun: run => idbRequest(db, 'runs', 'readwrite',
+          s => s.put({ promptId, ...run, updatedAt: Date.now() })),
+        close: () => db.close(),
+      };
+    };
+
+    // FNV-1a (32-bit) — cheap, sync fingerprint
+    const hashString = (str) => {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+      return (h >>> 0).toString(16).padStart(8, '0');
+    };
+
+    // Hashes what is rendered before the thought panel is expanded: role, visible
+    // text chunks and image sources. Thinking is excluded because collapsed panels
+    // may not be rendered — a rerun always changes the answer text anyway.
+    const fingerprintTurn = (turn) => {
+      const parts = [];
+      const rc = selectors.query('turnRole', turn);
+      parts.push(rc ? rc.getAttribute('data-turn-role') : '');
+      turn.querySelectorAll('ms-text-chunk, ' + TYPED_SELECTOR + ', ' + ATTACHMENT_SELECTOR).forEach(tc => {
+        if (!tc.closest(selectors.selector('thoughtChunk'))) parts.push(tc.textContent || '');
+      });
+      turn.querySelectorAll('ms-image-chunk img[src]').forEach(img => {
+        const src = img.getAttribute('src');
+        parts.push(src.length + ':' + src.slice(-64));
+      });
+      // A new rerun/edit adds an alternative without changing the shown one
+      const ctrl = findVariantControls(turn);
+      if (ctrl) parts.push('variants:' + ctrl.count);
+      return hashString(parts.join('\u0000'));
+    };
+
+    const checkpointSettings = () => hashString(JSON.stringify({
+      includeThinking: CONFIG.includeThinking, extractImages: CONFIG.extractImages,
+    }));
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── HTML-to-Markdown converter ──────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of "Generic - HTML to Markdown.js" — change it there first,
+    // then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN html-to-markdown ──────────────────────────────────────────────
+    const HtmlToMarkdown = (() => {
+      const TEXT_NODE = 3;
+      const ELEMENT_NODE = 1;
+
+      const escapeHtml = s => String(s)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+      // KaTeX keeps the TeX source in a MathML annotation; bare MathML may
+      // carry it in alttext
+      const texSource = (node) => {
+        const ann = node.querySelector('annotation[encoding="application/x-tex"]');
+        if (ann) return ann.textContent.trim();
+        if (node.tagName.toLowerCase() === 'math') {
+          return (node.getAttribute('alttext') || node.textContent || '').trim();
         }
+        return null;
+      };
+      const isMath = (node) => node.tagName.toLowerCase() === 'math' ||
+        node.classList.contains('katex') || node.classList.contains('katex-display');
+      const isDisplayMath = (node) => node.classList.contains('katex-display') ||
+        !!node.closest('.katex-display') ||
+        (node.tagName.toLowerCase() === 'math' && node.getAttribute('display') === 'block');
+
+      // "#user-content-fn-2" / "fnref-2" / "fn:2" → "2"
+      const footnoteLabel = (ref) =>
+        (ref || '').replace(/^#/, '').replace(/^user-content-/, '').replace(/^fn(ref)?[-:]?/, '') || '?';
+      const isFootnoteRef = (sup) => {
+        const a = sup.querySelector('a[href^="#"]');
+        return !!a && (sup.classList.contains('footnote-ref') || a.hasAttribute('data-footnote-ref') ||
+          /^#(user-content-)?fn/.test(a.getAttribute('href')));
+      };
+
+      // GFM cells hold one line of inline content: no spans, no block children
+      const needsHtmlTable = (table) =>
+        Array.from(table.querySelectorAll('td, th')).some(cell =>
+          parseInt(cell.getAttribute('colspan') || '1') > 1 ||
+          parseInt(cell.getAttribute('rowspan') || '1') > 1 ||
+          !!cell.querySelector('ul, ol, pre, table, blockquote, h1, h2, h3, h4, h5, h6, hr, .katex-display') ||
+          cell.querySelectorAll('p').length > 1);
+
+      // Continuation lines of a list item, indented under its marker
+      const indentRest = (text, pad) => {
+        const lines = text.replace(/\n{3,}/g, '\n\n').split('\n');
+        return lines[0] + (lines.length > 1 ? '\n' + lines.slice(1).map(l => l ? pad + l : l).join('\n') : '');
+      };
 
-        // ── Code blocks ──
-        if (tag === 'pre') {
+      const inline = (wrap) => (node, ctx) => {
+        const t = ctx.children(node).trim();
+        return t ? wrap[0] + t + wrap[1] : '';
+      };
+      const passThrough = (node, ctx) => ctx.children(node);
+
+      // ── Base rules (plain GFM) ──
+      const baseRules = {
+        p: (node, ctx) => {
+          const text = ctx.children(node).trim();
+          return text ? '\n\n' + text + '\n\n' : '';
+        },
+        br: () => '\n',
+        hr: () => '\n\n---\n\n',
+
+        blockquote: (node, ctx) =>
+          '\n\n' + ctx.children(node).trim().replace(/\n{3,}/g, '\n\n')
+            .split('\n').map(l => l ? '> ' + l : '>').join('\n') + '\n\n',
+
+        pre: (node) => {
           const codeEl = node.querySelector('code');
           const codeText = codeEl ? codeEl.textContent : node.textContent;
-          const langClass = (codeEl || node).className.match(/language-(\w+)/);
+          const langClass = String((codeEl || node).className).match(/language-(\w+)/);
           const lang = langClass ? langClass[1] :
             (node.getAttribute('data-lang') || node.getAttribute('language') || '');
           return '\n\n```' + lang + '\n' + codeText.trimEnd() + '\n```\n\n';
-        }
+        },
 
-        // ── Unordered lists (handles ms-cmark-node wrappers) ──
-        if (tag === 'ul') {
-          const items = node.querySelectorAll(':scope > li, :scope > ms-cmark-node > li');
-          const result = Array.from(items).map(li => {
-            const c = convert(li).trim();
-            const lines = c.split('\n');
-            return '- ' + lines[0] + (lines.length > 1 ? '\n' + lines.slice(1).map(l => '  ' + l).join('\n') : '');
-          });
+        ul: (node, ctx) => {
+          const result = ctx.listItems(node).map(li =>
+            '- ' + indentRest(ctx.convert(li).trim().replace(/^\[([ x])\]\s+/, '[$1] '), '  '));
           return '\n\n' + result.join('\n') + '\n\n';
-        }
-
-        // ── Ordered lists ──
-        if (tag === 'ol') {
+        },
+        ol: (node, ctx) => {
           const start = parseInt(node.getAttribute('start') || '1');
-          const items = node.querySelectorAll(':scope > li, :scope > ms-cmark-node > li');
-          const result = Array.from(items).map((li, i) => {
-            const c = convert(li).trim();
+          const result = ctx.listItems(node).map((li, i) => {
             const num = (start + i) + '. ';
-            const pad = ' '.repeat(num.length);
-            const lines = c.split('\n');
-            return num + lines[0] + (lines.length > 1 ? '\n' + lines.slice(1).map(l => pad + l).join('\n') : '');
+            return num + indentRest(ctx.convert(li).trim().replace(/^\[([ x])\]\s+/, '[$1] '), ' '.repeat(num.length));
           });
           return '\n\n' + result.join('\n') + '\n\n';
-        }
+        },
+        li: passThrough,
+
+        // Task list checkboxes → GFM [ ] / [x]
+        input: (node) => {
+          if (node.getAttribute('type') !== 'checkbox') return '';
+          return (node.checked || node.hasAttribute('checked')) ? '[x] ' : '[ ] ';
+        },
 
-        if (tag === 'li') return children();
+        table: (node, ctx) => {
+          if (needsHtmlTable(node)) return '\n\n' + ctx.toHtml(node) + '\n\n';
 
-        // ── Tables (handles ms-cmark-node wrappers) ──
-        if (tag === 'table') {
           const rows = [];
           node.querySelectorAll('tr').forEach(tr => {
             const cells = tr.querySelectorAll('td, th');
             rows.push(Array.from(cells).map(cell =>
-              convert(cell).trim().replace(/\|/g, '\\|').replace(/\n+/g, ' ')
+              ctx.convert(cell).trim().replace(/\|/g, '\\|').replace(/\n+/g, ' ')
             ));
           });
-          if (rows.length === 0) return children();
+          if (rows.length === 0) return ctx.children(node);
           const colCount = Math.max(...rows.map(r => r.length));
+          const headCells = node.querySelector('tr') ? node.querySelector('tr').querySelectorAll('td, th') : [];
+          const aligns = Array.from(headCells).map(c => (c.getAttribute('align') || c.style.textAlign || '').toLowerCase());
+          const alignMarker = a => a === 'center' ? ':---:' : a === 'right' ? '---:' : a === 'left' ? ':---' : '---';
           const pad = row => { while (row.length < colCount) row.push(''); return row; };
           const mdRows = rows.map(r => '| ' + pad(r).join(' | ') + ' |');
-          if (mdRows.length > 0) mdRows.splice(1, 0, '| ' + Array(colCount).fill('---').join(' | ') + ' |');
+          mdRows.splice(1, 0, '| ' + Array.from({ length: colCount }, (_, i) => alignMarker(aligns[i])).join(' | ') + ' |');
           return '\n\n' + mdRows.join('\n') + '\n\n';
+        },
+
+        strong: inline(['**', '**']),
+        b: inline(['**', '**']),
+        em: inline(['*', '*']),
+        i: inline(['*', '*']),
+        s: inline(['~~', '~~']),
+        del: inline(['~~', '~~']),
+        strike: inline(['~~', '~~']),
+        sub: inline(['<sub>', '</sub>']),
+
+        // Footnote refs (cmark-gfm markup) or plain superscript
+        sup: (node, ctx) => {
+          if (isFootnoteRef(node)) return '[^' + footnoteLabel(node.querySelector('a').getAttribute('href')) + ']';
+          const t = ctx.children(node).trim();
+          return t ? '<sup>' + t + '</sup>' : '';
+        },
+
+        code: (node) => {
+          if (node.parentElement && node.parentElement.tagName.toLowerCase() === 'pre') return node.textContent;
+          return '`' + node.textContent + '`';
+        },
+
+        a: (node, ctx) => {
+          if (node.classList.contains('footnote-backref') || node.hasAttribute('data-footnote-backref')) return '';
+          const href = node.getAttribute('href') || '';
+          const text = ctx.children(node).trim();
+          return href && text ? '[' + text + '](' + href + ')' : text;
+        },
+
+        img: (node) => {
+          const alt = node.getAttribute('alt') || 'image';
+          const src = node.getAttribute('src') || '';
+          return src ? '![' + alt + '](' + src + ')' : '';
+        },
+
+        // Collapsible blocks — HTML wrapper and summary (Markdown is not
+        // rendered inside <summary>), Markdown body
+        details: (node, ctx) => {
+          const summary = node.querySelector(':scope > summary');
+          const summaryHtml = summary ? ctx.toHtml(summary).trim() : '<summary>Details</summary>';
+          const body = Array.from(node.childNodes).filter(n => n !== summary).map(ctx.convert).join('').trim();
+          return '\n\n<details>\n' + summaryHtml + '\n\n' + body + '\n\n</details>\n\n';
+        },
+      };
+      ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(tag => {
+        baseRules[tag] = (node, ctx) =>
+          '\n\n' + '#'.repeat(parseInt(tag.charAt(1))) + ' ' + ctx.children(node).trim() + '\n\n';
+      });
+
+      const baseMatchers = [
+        {
+          test: node => isMath(node) && !!texSource(node),
+          convert: (node) => {
+            const tex = texSource(node);
+            return isDisplayMath(node) ? '\n\n$$\n' + tex + '\n$$\n\n' : '$' + tex + '$';
+          },
+        },
+        {
+          test: node => node.classList.contains('footnotes') || node.hasAttribute('data-footnotes'),
+          convert: (node, ctx) => {
+            const defs = Array.from(node.querySelectorAll('li[id]')).map(li =>
+              '[^' + footnoteLabel(li.id) + ']: ' +
+              ctx.convert(li).trim().split('\n').map((l, i) => i && l ? '    ' + l : l).join('\n'));
+            return '\n\n' + defs.join('\n') + '\n\n';
+          },
+        },
+      ];
+
+      // ── Site presets ──
+      const presets = {
+        aiStudio: {
+          // Angular wrappers around every cmark node / chunk
+          transparent: ['ms-cmark-node', 'ms-text-chunk', 'ms-prompt-chunk'],
+          strip:
+            'ms-chat-turn-options, button:not([class*="citation"]), mat-icon, ' +
+            '[aria-label="Copy"], [aria-label="Edit"], ' +
+            '.action-buttons, .feedback-buttons, [class*="thumb"], ' +
+            '[class*="copy-button"], .overflow-menu, .edit-button, ' +
+            '.turn-role-label, .role-label',
+          matchers: [
+            // Inline code is <span class="inline-code">, not <code>
+            { test: node => node.tagName.toLowerCase() === 'span' && node.classList.contains('inline-code'),
+              convert: node => '`' + node.textContent + '`' },
+            // Grounding citation chips → [n](source)
+            { test: node => node.matches(
+                'ms-citation, ms-citation-chip, .citation-chip, [class*="citation-chip"], [data-citation-index]'),
+              convert: (node) => {
+                const label = (node.getAttribute('data-citation-index') || node.textContent || '').trim();
+                if (node.parentElement && node.parentElement.closest('a[href]')) return '[' + label + ']';
+                const link = node.querySelector('a[href]');
+                const url = link ? link.getAttribute('href') : node.getAttribute('data-url');
+                return url ? '[[' + label + ']](' + url + ')' : '[' + label + ']';
+              } },
+          ],
+          rules: {
+            // Thinking spinner → local reference
+            img: (node, ctx, next) => {
+              const src = node.getAttribute('src') || '';
+              if (src.includes('watermark/watermark.png') || node.classList.contains('thinking-progress-icon')) {
+                return '![Thinking](watermark.png)';
+              }
+              return next();
+            },
+          },
+        },
+      };
+
+      // Clean HTML for tables GFM cannot represent: custom elements and layout
+      // wrappers are unwrapped, only structural attributes are kept
+      const HTML_ATTRS = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'align', 'start', 'type', 'checked'];
+      const VOID_TAGS = ['br', 'hr', 'img', 'input'];
+
+      const create = (options = {}) => {
+        const layers = [...(options.presets || []), options];
+        const rules = Object.assign({}, baseRules);
+        const matchers = baseMatchers.slice();
+        const transparent = new Set();
+        const strip = [];
+
+        layers.forEach(layer => {
+          (layer.transparent || []).forEach(t => transparent.add(t));
+          if (layer.strip) strip.push(layer.strip);
+          matchers.unshift(...(layer.matchers || []));
+          Object.entries(layer.rules || {}).forEach(([tag, rule]) => {
+            const prev = rules[tag] || passThrough;
+            rules[tag] = (node, ctx) => rule(node, ctx, () => prev(node, ctx));
+          });
+        });
+
+        // Source line breaks are just whitespace in rendered HTML
+        const convert = (node) => {
+          if (node.nodeType === TEXT_NODE) return (node.textContent || '').replace(/\s*\n\s*/g, ' ');
+          if (node.nodeType !== ELEMENT_NODE) return '';
+          const tag = node.tagName.toLowerCase();
+          if (transparent.has(tag)) return ctx.children(node);
+          const matcher = matchers.find(m => m.test(node));
+          if (matcher) return matcher.convert(node, ctx);
+          return (rules[tag] || passThrough)(node, ctx);
+        };
+
+        const toHtml = (node) => {
+          if (node.nodeType === TEXT_NODE) return escapeHtml(node.textContent || '');
+          if (node.nodeType !== ELEMENT_NODE) return '';
+          const tag = node.tagName.toLowerCase();
+          const inner = () => Array.from(node.childNodes).map(toHtml).join('');
+
+          if (isMath(node) && texSource(node)) {
+            const tex = texSource(node);
+            return escapeHtml(isDisplayMath(node) ? '$$' + tex + '$$' : '$' + tex + '$');
+          }
+          if (tag === 'img') {
+            // Route through the rules so images are handled like everywhere else
+            const m = convert(node).match(/^!\[([^\]]*)\]\((.*)\)$/);
+            return m ? '<img src="' + escapeHtml(m[2]) + '" alt="' + escapeHtml(m[1]) + '">' : '';
+          }
+          if (tag !== 'pre' && matchers.some(m => m.test(node))) {
+            // Inline-code style spans etc. — keep their Markdown meaning as HTML
+            const md = convert(node);
+            const code = md.match(/^`([^`]*)`$/);
+            return code ? '<code>' + escapeHtml(code[1]) + '</code>' : escapeHtml(md);
+          }
+          if (tag.includes('-') || tag === 'span' || tag === 'div') return inner();
+
+          const attrs = HTML_ATTRS.filter(a => node.hasAttribute(a))
+            .map(a => ' ' + a + '="' + escapeHtml(node.getAttribute(a)) + '"').join('');
+          if (VOID_TAGS.includes(tag)) return '<' + tag + attrs + '>';
+          return '<' + tag + attrs + '>' + inner() + '</' + tag + '>';
+        };
+
+        // <li> children, looking through transparent wrappers
+        const listItems = (list) => {
+          const items = [];
+          const walk = el => Array.from(el.children).forEach(c => {
+            const t = c.tagName.toLowerCase();
+            if (t === 'li') items.push(c);
+            else if (transparent.has(t)) walk(c);
+          });
+          walk(list);
+          return items;
+        };
+
+        const ctx = {
+          convert,
+          children: node => Array.from(node.childNodes).map(convert).join(''),
+          toHtml,
+          listItems,
+        };
+
+        return (rootEl) => {
+          const root = rootEl.cloneNode(true);
+          if (strip.length) root.querySelectorAll(strip.join(', ')).forEach(n => n.remove());
+          // Trailing whitespace left between blocks is dropped, code fences excepted
+          // (no rule emits a two-space hard break — <br> is a plain newline)
+          return convert(root)
+            .replace(/(^```[^\n]*\n[\s\S]*?\n```$)|[ \t]+$/gm, (m, fence) => fence || '')
+            .replace(/\n{3,}/g, '\n\n').trim();
+        };
+      };
+
+      return { create, baseRules, presets, escapeHtml };
+    })();
+    // ── END html-to-markdown ────────────────────────────────────────────────
+
+    const htmlToMarkdown = HtmlToMarkdown.create({
+      presets: [HtmlToMarkdown.presets.aiStudio],
+      rules: {
+        // Base64 embedded image → extract to separate file
+        img: (node, ctx, next) => {
+          const src = node.getAttribute('src') || '';
+          if (!CONFIG.extractImages || !src.startsWith('data:image/')) return next();
+          const alt = node.getAttribute('alt') || 'image';
+          return '![' + alt + '](' + collectImage(src, alt) + ')';
+        },
+      },
+    });
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Export comparison ───────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Turns are aligned with an LCS over (role, content, thinking). Unmatched
+    // runs between two aligned turns are paired by role as edits; leftovers are
+    // added/removed. Edited fields get a word-level diff in wdiff notation:
+    // [-removed-] {+added+}.
+
+    // LCS over two arrays → [{ op: 'equal'|'delete'|'insert', a, b }]
+    const diffSequences = (a, b, eq = (x, y) => x === y) => {
+      let start = 0, endA = a.length, endB = b.length;
+      while (start < endA && start < endB && eq(a[start], b[start])) start++;
+      while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) { endA--; endB--; }
+
+      const ops = [];
+      for (let i = 0; i < start; i++) ops.push({ op: 'equal', a: i, b: i });
+      const n = endA - start, m = endB - start;
+      if (n * m > 4e6) {
+        // Too large for a DP table — report the middle as a block replacement
+        for (let i = start; i < endA; i++) ops.push({ op: 'delete', a: i });
+        for (let j = start; j < endB; j++) ops.push({ op: 'insert', b: j });
+      } else {
+        const w = m + 1;
+        const dp = new Uint32Array((n + 1) * w);
+        for (let i = n - 1; i >= 0; i--) {
+          for (let j = m - 1; j >= 0; j--) {
+            dp[i * w + j] = eq(a[start + i], b[start + j])
+              ? dp[(i + 1) * w + j + 1] + 1
+              : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+          }
+        }
+        let i = 0, j = 0;
+        while (i < n && j < m) {
+          if (eq(a[start + i], b[start + j])) { ops.push({ op: 'equal', a: start + i, b: start + j }); i++; j++; }
+          else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) ops.push({ op: 'delete', a: start + i++ });
+          else ops.push({ op: 'insert', b: start + j++ });
         }
+        while (i < n) ops.push({ op: 'delete', a: start + i++ });
+        while (j < m) ops.push({ op: 'insert', b: start + j++ });
+      }
+      for (let k = 0; endA + k < a.length; k++) ops.push({ op: 'equal', a: endA + k, b: endB + k });
+      return ops;
+    };
 
-        if (tag === 'td' || tag === 'th' || tag === 'tr' ||
-            tag === 'thead' || tag === 'tbody' || tag === 'tfoot') return children();
+    const wordDiff = (oldText, newText) => {
+      const a = (oldText || '').split(/(\s+)/);
+      const b = (newText || '').split(/(\s+)/);
+      let out = '', mode = 'equal', buf = '';
+      const flush = () => {
+        if (buf) out += mode === 'delete' ? '[-' + buf + '-]' : mode === 'insert' ? '{+' + buf + '+}' : buf;
+        buf = '';
+      };
+      diffSequences(a, b).forEach(({ op, a: i, b: j }) => {
+        if (op !== mode) { flush(); mode = op; }
+        buf += op === 'insert' ? b[j] : a[i];
+      });
+      flush();
+      return out;
+    };
 
-        // ── Bold ──
-        if (tag === 'strong' || tag === 'b') {
-          const t = children().trim();
-          return t ? '**' + t + '**' : '';
+    // → [{ type: 'unchanged'|'edited'|'added'|'removed', prev, curr }] (message indices)
+    const alignTurns = (prev, curr) => {
+      const key = m => m.role + '\u0000' + (m.content || '') + '\u0000' + (m.thinking || '');
+      const result = [];
+      let dels = [], ins = [];
+
+      const flushRun = () => {
+        let p = 0;
+        dels.forEach(i => {
+          let k = p;
+          while (k < ins.length && curr[ins[k]].role !== prev[i].role) k++;
+          if (k < ins.length) {
+            for (; p < k; p++) result.push({ type: 'added', curr: ins[p] });
+            result.push({ type: 'edited', prev: i, curr: ins[k] });
+            p = k + 1;
+          } else {
+            result.push({ type: 'removed', prev: i });
+          }
+        });
+        for (; p < ins.length; p++) result.push({ type: 'added', curr: ins[p] });
+        dels = []; ins = [];
+      };
+
+      diffSequences(prev.map(key), curr.map(key)).forEach(o => {
+        if (o.op === 'equal') { flushRun(); result.push({ type: 'unchanged', prev: o.a, curr: o.b }); }
+        else if (o.op === 'delete') dels.push(o.a);
+        else ins.push(o.b);
+      });
+      flushRun();
+      return result;
+    };
+
+    // Fence long enough that no backtick run inside the text can close it
+    const fenced = (text, lang = '') => {
+      const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(r => r.length));
+      const fence = '`'.repeat(Math.max(3, longest + 1));
+      return fence + lang + '\n' + text + '\n' + fence;
+    };
+
+    const buildDiffReport = (prevExport, currExport) => {
+      const prev = prevExport.messages || [];
+      const curr = currExport.messages || [];
+      const aligned = alignTurns(prev, curr);
+      const tally = { added: 0, removed: 0, edited: 0, unchanged: 0 };
+      aligned.forEach(e => tally[e.type]++);
+
+      const md = [];
+      md.push('# Diff — ' + currExport.title);
+      md.push('');
+      md.push('> Previous: ' + (prevExport.exported_at || 'unknown') + ' — ' +
+        (prevExport.turn_count != null ? prevExport.turn_count : prev.length) + ' turns');
+      md.push('> Current: ' + currExport.exported_at + ' — ' + currExport.turn_count + ' turns');
+      md.push('> Source: ' + currExport.source);
+      md.push('');
+      md.push('| Added | Removed | Edited | Unchanged |');
+      md.push('| --- | --- | --- | --- |');
+      md.push('| ' + tally.added + ' | ' + tally.removed + ' | ' + tally.edited + ' | ' + tally.unchanged + ' |');
+      md.push('');
+      if ((prevExport.system_instruction || '') !== (currExport.system_instruction || '')) {
+        md.push('## ⚙️ System Instructions — edited');
+        md.push('');
+        md.push(fenced(wordDiff(prevExport.system_instruction, currExport.system_instruction), 'text'));
+        md.push('');
+      }
+      md.push('Word diffs use `[-removed-]` and `{+added+}`.');
+      md.push('');
+      md.push('---');
+      md.push('');
+
+      const roleLabel = role => role === 'user' ? '👤 User' : '🤖 Model';
+      aligned.forEach(e => {
+        if (e.type === 'unchanged') return;
+        if (e.type === 'added' || e.type === 'removed') {
+          const msg = e.type === 'added' ? curr[e.curr] : prev[e.prev];
+          const pos = e.type === 'added' ? 'Turn ' + (e.curr + 1) : 'Previous turn ' + (e.prev + 1);
+          md.push('## ' + (e.type === 'added' ? '➕ ' : '➖ ') + pos + ' · ' + roleLabel(msg.role) + ' — ' + e.type);
+          md.push('');
+          if (msg.thinking) {
+            md.push('### Thinking');
+            md.push('');
+            md.push(fenced(msg.thinking, 'text'));
+            md.push('');
+          }
+          md.push('### Content');
+          md.push('');
+          md.push(fenced(msg.content || '', 'text'));
+          md.push('');
+        } else {
+          const a = prev[e.prev], b = curr[e.curr];
+          md.push('## ✏️ Turn ' + (e.curr + 1) + ' · ' + roleLabel(b.role) + ' — edited' +
+            (e.prev !== e.curr ? ' (was turn ' + (e.prev + 1) + ')' : ''));
+          md.push('');
+          [['thinking', 'Thinking'], ['content', 'Content']].forEach(([field, label]) => {
+            if ((a[field] || '') === (b[field] || '')) return;
+            md.push('### ' + label);
+            md.push('');
+            md.push(fenced(wordDiff(a[field], b[field]), 'text'));
+            md.push('');
+          });
         }
+        md.push('---');
+        md.push('');
+      });
+      if (tally.added + tally.removed + tally.edited === 0) md.push('_No differences._');
 
-        // ── Italic ──
-        if (tag === 'em' || tag === 'i') {
-          const t = children().trim();
-          return t ? '*' + t + '*' : '';
+      return { markdown: md.join('\n'), tally };
+    };
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── API request formats ─────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Replayable outputs built from the same export object as the JSON file.
+    // Markdown image references are resolved back to bytes and sent inline.
+
+    const blobToBase64 = blob => new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+
+    // data: URI or a filename from collectedImages → { mimeType, data } | null
+    const resolvedImages = new Map();
+    const resolveImageRef = async (ref) => {
+      const dataMatch = ref.match(/^data:([^;,]+);base64,(.+)$/);
+      if (dataMatch) return { mimeType: dataMatch[1], data: dataMatch[2] };
+      if (resolvedImages.has(ref)) return resolvedImages.get(ref);
+      const img = collectedImages.find(i => i.filename === ref || 'images/' + i.filename === ref);
+      let resolved = null;
+      if (img && img.base64data) {
+        resolved = { mimeType: img.mimeType, data: img.base64data };
+      } else if (img && img.blobUrl) {
+        try {
+          const blob = await fetchBlob(img.blobUrl);
+          resolved = { mimeType: blob.type || img.mimeType, data: await blobToBase64(blob) };
+        } catch (e) {
+          console.warn('[Exporter] Could not inline blob image: ' + img.filename, e);
         }
+      }
+      resolvedImages.set(ref, resolved);
+      return resolved;
+    };
+
+    // Split exported Markdown into ordered { text } / { image } parts
+    const splitContentParts = async (content) => {
+      const re = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+      const parts = [];
+      let last = 0, m;
+      while ((m = re.exec(content))) {
+        const image = await resolveImageRef(m[2]);
+        if (!image) continue; // unresolved (e.g. remote URL) — stays in the text
+        const text = content.slice(last, m.index).trim();
+        if (text) parts.push({ text });
+        parts.push({ image });
+        last = m.index + m[0].length;
+      }
+      const tail = content.slice(last).trim();
+      if (tail) parts.push({ text: tail });
+      return parts;
+    };
 
-        // ── Strikethrough ──
-        if (tag === 's' || tag === 'del' || tag === 'strike') {
-          return '~~' + children().trim() + '~~';
+    // Typed parts (code execution, function calls) → native Gemini parts
+    const typedPartsToGemini = async (parts) => {
+      const out = [];
+      for (const p of parts) {
+        if (p.type === 'text') {
+          (await splitContentParts(p.text)).forEach(sp => out.push(sp.image
+            ? { inlineData: { mimeType: sp.image.mimeType, data: sp.image.data } }
+            : { text: sp.text }));
+        } else if (p.type === 'executable_code') {
+          out.push({ executableCode: { language: p.language.toUpperCase(), code: p.code } });
+        } else if (p.type === 'code_result') {
+          out.push({ codeExecutionResult: { outcome: p.outcome === 'error' ? 'OUTCOME_FAILED' : 'OUTCOME_OK', output: p.output } });
+        } else if (p.type === 'function_call') {
+          out.push({ functionCall: { name: p.name, args: typeof p.args === 'object' ? p.args : { value: p.args } } });
+        } else if (p.type === 'function_response') {
+          out.push({ functionResponse: { name: p.name, response: typeof p.response === 'object' ? p.response : { content: p.response } } });
         }
+      }
+      return out;
+    };
 
-        // ── Inline code: <code> or <span class="inline-code"> ──
-        if (tag === 'code') {
-          if (node.parentElement && node.parentElement.tagName.toLowerCase() === 'pre') return node.textContent;
-          return '`' + node.textContent + '`';
+    // Gemini generateContent request body
+    const toGeminiRequest = async (exp) => {
+      const contents = [];
+      for (const m of exp.messages) {
+        const parts = m.parts ? await typedPartsToGemini(m.parts)
+          : (await splitContentParts(m.content || '')).map(p => p.image
+            ? { inlineData: { mimeType: p.image.mimeType, data: p.image.data } }
+            : { text: p.text });
+        if (parts.length) contents.push({ role: m.role === 'model' ? 'model' : 'user', parts });
+      }
+      return {
+        ...(exp.system_instruction ? { systemInstruction: { parts: [{ text: exp.system_instruction }] } } : {}),
+        contents,
+      };
+    };
+
+    // OpenAI chat-completions messages array. Assistant messages are text-only,
+    // so model-side images are dropped; user images become image_url data URIs.
+    const toOpenAIMessages = async (exp) => {
+      const out = [];
+      if (exp.system_instruction) out.push({ role: 'system', content: exp.system_instruction });
+      for (const m of exp.messages) {
+        const parts = await splitContentParts(m.content || '');
+        const text = parts.filter(p => !p.image).map(p => p.text).join('\n\n');
+        if (m.role === 'model') {
+          if (text) out.push({ role: 'assistant', content: text });
+        } else if (parts.some(p => p.image)) {
+          out.push({
+            role: 'user',
+            content: parts.map(p => p.image
+              ? { type: 'image_url', image_url: { url: 'data:' + p.image.mimeType + ';base64,' + p.image.data } }
+              : { type: 'text', text: p.text }),
+          });
+        } else if (text) {
+          out.push({ role: 'user', content: text });
         }
-        if (tag === 'span' && node.classList.contains('inline-code')) {
-          return '`' + node.textContent + '`';
+      }
+      return out;
+    };
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── HTML / PDF transcript ───────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Renders the exported Markdown back into one standalone, styled page. The
+    // page is only ever a string handed to a Blob — nothing is parsed into AI
+    // Studio's DOM, so TrustedTypes never sees it. Raw HTML is escaped except
+    // for the few tags the converter itself emits (details, tables, sup/sub).
+
+    const escapeHtml = HtmlToMarkdown.escapeHtml;
+
+    const RAW_TAGS = new Set(['details', 'summary', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+      'caption', 'ul', 'ol', 'li', 'p', 'pre', 'code', 'strong', 'em', 'b', 'i', 'del', 's', 'sup', 'sub',
+      'br', 'a', 'img']);
+    const RAW_ATTRS = new Set(['colspan', 'rowspan', 'align', 'open', 'start', 'href', 'src', 'alt']);
+
+    // One decoding pass, as the browser makes over attribute values — numeric
+    // and the named references that can spell a scheme (&colon;, &Tab;) included
+    const NAMED_REFS = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+    const unescapeHtml = s => s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (m, hex, dec, name) => {
+      if (name) return NAMED_REFS[name.toLowerCase()] || m;
+      const code = hex ? parseInt(hex, 16) : parseInt(dec, 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+    });
+
+    // Takes a decoded URL. Browsers ignore tabs/newlines inside a URL and trim
+    // control characters and spaces around it, so the scheme check does too.
+    const isSafeUrl = (url) => {
+      const bare = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+      return /^(https?:|mailto:|#|data:image\/)/i.test(bare) || !/^[a-z][a-z0-9+.-]*:/i.test(bare);
+    };
+
+    // Keep allowed tags with allowed attributes; escape every other tag. Kept
+    // values are decoded for the check and re-escaped on the way out.
+    const sanitizeRawHtml = html => html.replace(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi, (m, close, tag, attrs) => {
+      tag = tag.toLowerCase();
+      if (!RAW_TAGS.has(tag)) return escapeHtml(m);
+      if (close) return '</' + tag + '>';
+      const kept = [];
+      attrs.replace(/([a-z-]+)(?:\s*=\s*"([^"]*)")?/gi, (a, name, value = '') => {
+        name = name.toLowerCase();
+        const decoded = unescapeHtml(value);
+        if (RAW_ATTRS.has(name) && ((name !== 'src' && name !== 'href') || isSafeUrl(decoded))) {
+          kept.push(name + '="' + escapeHtml(decoded) + '"');
         }
+      });
+      return '<' + tag + (kept.length ? ' ' + kept.join(' ') : '') + '>';
+    });
 
-        // ── Links ──
-        if (tag === 'a') {
-          const href = node.getAttribute('href') || '';
-          const text = children().trim();
-          return href && text ? '[' + text + '](' + href + ')' : text;
+    // Small regex tokenizer — comments, strings, numbers, keywords
+    const CODE_KEYWORDS = new Set(('as async await break case catch class const continue def default del do elif else ' +
+      'enum except export extends false finally fn for from func function go if impl import in interface let ' +
+      'match mut new nil none null package pass private protected pub public raise return self static struct ' +
+      'super switch this throw true try type undefined use var void while with yield True False None SELECT ' +
+      'FROM WHERE INSERT UPDATE DELETE JOIN ON GROUP BY ORDER LIMIT AND OR NOT').split(' '));
+
+    const highlightCode = (code, lang) => {
+      lang = (lang || '').toLowerCase();
+      if (!lang || lang === 'text' || lang === 'plaintext') return escapeHtml(code);
+      const comment = /^(py|python|sh|bash|shell|zsh|ruby|rb|r|yaml|yml|toml|perl|dockerfile|makefile)$/.test(lang) ? '#[^\\n]*'
+        : /^(sql|lua|haskell|hs)$/.test(lang) ? '--[^\\n]*'
+        : /^(json|csv|markdown|md)$/.test(lang) ? '(?!)'
+        : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+      const re = new RegExp('(' + comment + ')|("(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)' +
+        '|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)', 'g');
+      let out = '', last = 0, m;
+      while ((m = re.exec(code))) {
+        out += escapeHtml(code.slice(last, m.index));
+        const cls = m[1] ? 'c' : m[2] ? 's' : m[3] ? 'n' : CODE_KEYWORDS.has(m[4]) ? 'k' : '';
+        out += cls ? '<span class="tok-' + cls + '">' + escapeHtml(m[0]) + '</span>' : escapeHtml(m[0]);
+        last = m.index + m[0].length;
+      }
+      return out + escapeHtml(code.slice(last));
+    };
+
+    // Inline Markdown → HTML. Code spans and backslash escapes are pulled out
+    // first so emphasis/link patterns cannot reach inside them.
+    const renderInline = (text, images) => {
+      const held = [];
+      const hold = html => '\u0000' + (held.push(html) - 1) + '\u0000';
+      let s = text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold('<code>' + escapeHtml(code.trim()) + '</code>'))
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~<>$])/g, (m, ch) => hold(escapeHtml(ch)));
+      s = escapeHtml(s)
+        .replace(/&lt;(\/?)(sup|sub)&gt;/g, '<$1$2>')
+        .replace(/&lt;br\s*\/?&gt;/g, '<br>')
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, src) => {
+          const resolved = images.get(unescapeHtml(src)) || unescapeHtml(src);
+          return isSafeUrl(resolved) ? hold('<img src="' + escapeHtml(resolved) + '" alt="' + alt + '">') : m;
+        })
+        .replace(/\[\^([^\]\s]+)\]/g, (m, label) => hold('<sup class="fnref"><a href="#fn-' + label + '">' + label + '</a></sup>'))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (m, label, href) =>
+          isSafeUrl(unescapeHtml(href)) ? hold('<a href="' + href + '">') + label + hold('</a>') : label)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/ {2,}\n|\\\n/g, '<br>\n');
+      return s.replace(/\u0000(\d+)\u0000/g, (m, i) => held[+i]);
+    };
+
+    const splitTableRow = line => line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1')
+      .split(/(?<!\\)\|/).map(c => c.trim());
+
+    // Block-level Markdown → HTML, covering what htmlToMarkdown produces
+    const renderMarkdown = (md, images) => {
+      const lines = md.replace(/\r\n?/g, '\n').split('\n');
+      const out = [];
+      const footnotes = [];
+      const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+      const RAW_LINE_RE = /^\s*(<\/?details>|<summary>.*<\/summary>)\s*$/i;
+      const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+      const startsBlock = (line, next) => /^\s*(`{3,}|~{3,})/.test(line) || /^#{1,6}\s/.test(line) ||
+        /^\s*>/.test(line) || LIST_RE.test(line) || /^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line) ||
+        RAW_LINE_RE.test(line) || /^\s*<table\b/i.test(line) || (line.includes('|') && TABLE_SEP_RE.test(next || ''));
+      let i = 0;
+
+      while (i < lines.length) {
+        const line = lines[i];
+        let m;
+
+        if (!line.trim()) { i++; continue; }
+
+        // Fenced code
+        if ((m = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/))) {
+          const fence = m[1];
+          const body = [];
+          i++;
+          while (i < lines.length && !(lines[i].trim().startsWith(fence[0].repeat(fence.length)) &&
+            /^[`~]+$/.test(lines[i].trim()))) body.push(lines[i++]);
+          i++;
+          out.push('<pre><code' + (m[2] ? ' class="language-' + escapeHtml(m[2]) + '"' : '') + '>' +
+            highlightCode(body.join('\n'), m[2]) + '</code></pre>');
+          continue;
         }
 
-        // ── Images ──
-        if (tag === 'img') {
-          const alt = node.getAttribute('alt') || 'image';
-          const src = node.getAttribute('src') || '';
+        if ((m = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+          out.push('<h' + m[1].length + '>' + renderInline(m[2], images) + '</h' + m[1].length + '>');
+          i++; continue;
+        }
+
+        if (/^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) { out.push('<hr>'); i++; continue; }
+
+        // Raw HTML in the shapes the converter emits: bare <details> and
+        // </details> lines, a one-line <summary>, tables
+        if (RAW_LINE_RE.test(line)) { out.push(sanitizeRawHtml(line)); i++; continue; }
+        if (/^\s*<table\b/i.test(line)) {
+          const body = [];
+          while (i < lines.length) { body.push(lines[i]); if (/<\/table>/i.test(lines[i++])) break; }
+          out.push(sanitizeRawHtml(body.join('\n')));
+          continue;
+        }
 
-          // Thinking spinner → local reference
-          if (src.includes('watermark/watermark.png') || node.classList.contains('thinking-progress-icon')) {
-            return '![Thinking](watermark.png)';
+        if (/^\s*>/.test(line)) {
+          const body = [];
+          while (i < lines.length && /^\s*>/.test(lines[i])) body.push(lines[i++].replace(/^\s*> ?/, ''));
+          out.push('<blockquote>' + renderMarkdown(body.join('\n'), images) + '</blockquote>');
+          continue;
+        }
+
+        // GFM table
+        if (line.includes('|') && TABLE_SEP_RE.test(lines[i + 1] || '')) {
+          const align = splitTableRow(lines[i + 1]).map(c =>
+            /^:-+:$/.test(c) ? 'center' : /-:$/.test(c) ? 'right' : /^:-/.test(c) ? 'left' : '');
+          const cell = (tag, text, col) => '<' + tag + (align[col] ? ' align="' + align[col] + '"' : '') + '>' +
+            renderInline(text, images) + '</' + tag + '>';
+          const head = splitTableRow(line).map((c, col) => cell('th', c, col)).join('');
+          const rows = [];
+          i += 2;
+          while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+            rows.push('<tr>' + splitTableRow(lines[i++]).map((c, col) => cell('td', c, col)).join('') + '</tr>');
           }
+          out.push('<table><thead><tr>' + head + '</tr></thead><tbody>' + rows.join('') + '</tbody></table>');
+          continue;
+        }
 
-          // Base64 embedded image → extract to separate file
-          if (CONFIG.extractImages && src.startsWith('data:image/')) {
-            const filename = getImageFilename(src, alt);
-            const commaIdx = src.indexOf(',');
-            if (commaIdx !== -1) {
-              const mimeMatch = src.match(/^data:(image\/[^;]+)/);
-              const mimeType = mimeMatch ? mimeMatch[1] : 'image/png';
-              const b64 = src.substring(commaIdx + 1);
-              collectedImages.push({ filename, mimeType, base64data: b64 });
+        // Lists — items own every following line indented past their marker
+        if ((m = line.match(LIST_RE))) {
+          const baseIndent = m[1].length;
+          const ordered = /\d/.test(m[2]);
+          const items = [];
+          while (i < lines.length) {
+            const im = lines[i].match(LIST_RE);
+            if (!im || im[1].length !== baseIndent || /\d/.test(im[2]) !== ordered) break;
+            const contentIndent = im[1].length + im[2].length + 1;
+            const body = [im[3]];
+            i++;
+            while (i < lines.length) {
+              const l = lines[i];
+              if (!l.trim()) {
+                const nextLine = lines.slice(i + 1).find(x => x.trim());
+                if (nextLine && nextLine.search(/\S/) >= contentIndent) { body.push(''); i++; continue; }
+                break;
+              }
+              if (l.search(/\S/) < contentIndent && (LIST_RE.test(l) || startsBlock(l))) break;
+              if (l.search(/\S/) < contentIndent && !body[body.length - 1].trim()) break;
+              body.push(l.slice(Math.min(contentIndent, l.search(/\S/))));
+              i++;
             }
-            return '![' + alt + '](' + filename + ')';
+            items.push(body.join('\n'));
           }
+          const start = ordered ? parseInt(m[2], 10) : 1;
+          out.push((ordered ? '<ol' + (start !== 1 ? ' start="' + start + '"' : '') + '>' : '<ul>') +
+            items.map(item => {
+              const task = item.match(/^\[([ xX])\]\s+/);
+              let html = renderMarkdown(task ? item.slice(task[0].length) : item, images);
+              if (!item.includes('\n\n')) html = html.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+              return task
+                ? '<li class="task"><input type="checkbox" disabled' + (task[1] !== ' ' ? ' checked' : '') + '> ' + html + '</li>'
+                : '<li>' + html + '</li>';
+            }).join('') + (ordered ? '</ol>' : '</ul>'));
+          continue;
+        }
 
-          if (src) return '![' + alt + '](' + src + ')';
-          return '';
+        if ((m = line.match(/^\[\^([^\]]+)\]:\s*(.*)$/))) {
+          footnotes.push('<li id="fn-' + escapeHtml(m[1]) + '">' + renderInline(m[2], images) + '</li>');
+          i++; continue;
         }
 
-        // ── Containers — pass through ──
-        if (tag === 'div' || tag === 'section' || tag === 'article' ||
-            tag === 'main' || tag === 'span' || tag === 'figure' ||
-            tag === 'figcaption' || tag === 'details' || tag === 'summary') {
-          return children();
+        // Paragraph
+        const para = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1]) &&
+          !/^\[\^[^\]]+\]:/.test(lines[i])) para.push(lines[i++]);
+        out.push('<p>' + renderInline(para.join('\n'), images) + '</p>');
+      }
+
+      if (footnotes.length) out.push('<ol class="footnotes">' + footnotes.join('') + '</ol>');
+      return out.join('\n');
+    };
+
+    const TRANSCRIPT_CSS = [
+      ':root { --user: #e8f0fe; --model: #f6f8fa; --border: #d0d7de; --muted: #57606a; }',
+      '* { box-sizing: border-box; }',
+      'body { margin: 0 auto; max-width: 860px; padding: 32px 20px; font: 15px/1.6 system-ui, sans-serif; color: #1f2328; background: #fff; }',
+      'header h1 { margin: 0 0 8px; font-size: 24px; }',
+      '.meta { color: var(--muted); font-size: 13px; margin: 0 0 16px; }',
+      '.meta dt { float: left; clear: left; min-width: 140px; font-weight: 600; }',
+      '.meta dd { margin: 0 0 2px 150px; }',
+      '.system { border: 1px dashed var(--border); border-radius: 10px; padding: 12px 16px; margin-bottom: 24px; white-space: pre-wrap; }',
+      '.turn { display: flex; margin: 18px 0; }',
+      '.turn.user { justify-content: flex-end; }',
+      '.bubble { max-width: 92%; border: 1px solid var(--border); border-radius: 14px; padding: 10px 16px; overflow-wrap: anywhere; }',
+      '.user .bubble { background: var(--user); border-bottom-right-radius: 4px; }',
+      '.model .bubble { background: var(--model); border-bottom-left-radius: 4px; }',
+      '.role { font-size: 12px; font-weight: 600; color: var(--muted); text-transform: uppercase; letter-spacing: .04em; }',
+      '.thinking { margin: 8px 0; padding: 6px 12px; border-left: 3px solid #a371f7; background: #fbf8ff; border-radius: 6px; color: #444; }',
+      '.thinking summary { cursor: pointer; font-weight: 600; }',
+      'pre { background: #0d1117; color: #e6edf3; padding: 12px 14px; border-radius: 8px; overflow-x: auto; font-size: 13px; }',
+      'code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .92em; }',
+      ':not(pre) > code { background: rgba(175,184,193,.25); padding: 1px 5px; border-radius: 5px; }',
+      '.tok-c { color: #8b949e; font-style: italic; } .tok-s { color: #a5d6ff; } .tok-n { color: #79c0ff; } .tok-k { color: #ff7b72; }',
+      'table { border-collapse: collapse; margin: 10px 0; display: block; overflow-x: auto; }',
+      'th, td { border: 1px solid var(--border); padding: 5px 10px; }',
+      'blockquote { margin: 8px 0; padding: 0 12px; border-left: 4px solid var(--border); color: var(--muted); }',
+      'img { max-width: 100%; height: auto; border-radius: 6px; }',
+      'li.task { list-style: none; margin-left: -1.3em; }',
+      '.footnotes { font-size: 13px; color: var(--muted); border-top: 1px solid var(--border); padding-top: 6px; }',
+      '@media print {',
+      '  body { max-width: none; padding: 0; font-size: 12px; }',
+      '  .bubble { max-width: 100%; }',
+      '  pre { white-space: pre-wrap; background: #f6f8fa; color: #1f2328; border: 1px solid var(--border); }',
+      '  .tok-s { color: #0a3069; } .tok-n { color: #0550ae; } .tok-k { color: #cf222e; }',
+      '  h1, h2, h3, .role { break-after: avoid; }',
+      '}',
+    ].join('\n');
+
+    // forPrint renders thinking panels open — print cannot expand them
+    const buildTranscriptHtml = async (exp, { forPrint = false } = {}) => {
+      const images = new Map();
+      for (const m of exp.messages) {
+        const text = [m.content, m.thinking].filter(Boolean).join('\n');
+        for (const [, ref] of text.matchAll(/!\[[^\]]*\]\(([^)\s]+)\)/g)) {
+          if (images.has(ref) || ref.startsWith('data:')) continue;
+          const img = await resolveImageRef(ref);
+          if (img) images.set(ref, 'data:' + img.mimeType + ';base64,' + img.data);
         }
+      }
 
-        return children();
+      const meta = [['Source', '<a href="' + escapeHtml(exp.source) + '">' + escapeHtml(exp.source) + '</a>'],
+        ['Exported', escapeHtml(exp.exported_at)]];
+      if (exp.run_settings) {
+        Object.entries(exp.run_settings).forEach(([k, v]) => {
+          if (v === undefined || v === null || v === '') return;
+          meta.push([k.replace(/_/g, ' '), escapeHtml(typeof v === 'object' ? JSON.stringify(v) : String(v))]);
+        });
+      }
+
+      const html = [];
+      html.push('<!DOCTYPE html>');
+      html.push('<html lang="en"><head><meta charset="utf-8">');
+      html.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+      html.push('<title>' + escapeHtml(exp.title) + '</title>');
+      html.push('<style>\n' + TRANSCRIPT_CSS + '\n</style></head><body>');
+      html.push('<header><h1>' + escapeHtml(exp.title) + '</h1>');
+      html.push('<dl class="meta">' + meta.map(([k, v]) => '<dt>' + escapeHtml(k) + '</dt><dd>' + v + '</dd>').join('') + '</dl></header>');
+      if (exp.system_instruction) {
+        html.push('<section class="system"><div class="role">System instructions</div>' +
+          escapeHtml(exp.system_instruction) + '</section>');
+      }
+      exp.messages.forEach(m => {
+        const role = m.role === 'user' ? 'user' : 'model';
+        html.push('<article class="turn ' + role + '"><div class="bubble">');
+        html.push('<div class="role">' + (role === 'user' ? '👤 User' : '🤖 Model') +
+          (m.tokens != null ? ' · ' + m.tokens.toLocaleString() + ' tokens' : '') + '</div>');
+        if (m.thinking) {
+          html.push('<details class="thinking"' + (forPrint ? ' open' : '') + '><summary>💭 Thinking / Reasoning</summary>' +
+            renderMarkdown(m.thinking, images) + '</details>');
+        }
+        html.push(renderMarkdown(m.content || '', images));
+        html.push('</div></article>');
+      });
+      html.push('</body></html>');
+      return html.join('\n');
+    };
+
+    // Opens the transcript in a new tab and starts printing once it has
+    // loaded. The blob page has no script of its own, so the opener polls it.
+    // Returns false when the pop-up is blocked.
+    const printTranscript = async (html) => {
+      const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+      const win = window.open(url, '_blank');
+      if (!win) { URL.revokeObjectURL(url); return false; }
+      for (let i = 0; i < 50; i++) {
+        await sleep(200);
+        try {
+          if (win.location.href === url && win.document.readyState === 'complete') { win.focus(); win.print(); break; }
+        } catch (e) { break; } // not scriptable — the user can still print from the tab
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      return true;
+    };
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Render detection ────────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Virtual scroll keeps off-screen turns as empty shells. Turns that are
+    // already rendered are read in place; the rest are scrolled to and waited
+    // on with observers instead of fixed sleeps.
+
+    // Image and file chunks count as content, so image- or attachment-only
+    // turns are read in place too
+    const isTurnRendered = (turn) => {
+      const parts = turn.querySelectorAll([
+        selectors.selector('textChunk'), selectors.selector('thoughtChunk'), TYPED_SELECTOR, 'ms-image-chunk', ATTACHMENT_SELECTOR,
+      ].join(', '));
+      if (!parts.length) return false;
+      return Array.from(parts).every(p => (p.textContent || '').trim() ||
+        p.querySelector('img[src], audio, video, embed, object, iframe'));
+    };
+
+    // Resolves true once el intersects the viewport, false on timeout or when
+    // IntersectionObserver is unavailable
+    const waitForVisible = (el, timeoutMs) => new Promise(resolve => {
+      if (typeof IntersectionObserver === 'undefined') { resolve(false); return; }
+      const io = new IntersectionObserver(entries => {
+        if (entries.some(e => e.isIntersecting)) { clearTimeout(timer); io.disconnect(); resolve(true); }
+      });
+      const timer = setTimeout(() => { io.disconnect(); resolve(false); }, timeoutMs);
+      io.observe(el);
+    });
+
+    // Resolves true when done() holds and root has seen no mutations for
+    // quietMs, false after timeoutMs
+    const waitForDom = (root, done, { timeoutMs = CONFIG.renderTimeoutMs, quietMs = 80 } = {}) => new Promise(resolve => {
+      let quiet = null;
+      const finish = (ok) => { clearTimeout(quiet); clearTimeout(deadline); mo.disconnect(); resolve(ok); };
+      const check = () => {
+        clearTimeout(quiet);
+        if (done()) quiet = setTimeout(() => finish(true), quietMs);
       };
+      const mo = new MutationObserver(check);
+      const deadline = setTimeout(() => finish(false), timeoutMs);
+      mo.observe(root, { childList: true, subtree: true, characterData: true, attributes: true });
+      check();
+    });
 
-      let md = convert(root);
-      md = md.replace(/\n{3,}/g, '\n\n');
-      return md.trim();
+    // Scrolls turn i into view and waits until its content has rendered
+    const scrollTurnIntoView = async (i, turn) => {
+      turn.scrollIntoView({ behavior: 'instant', block: 'center' });
+      if (!CONFIG.fastExtraction) { await sleep(CONFIG.scrollDelayMs); return; }
+      await waitForVisible(turn, CONFIG.renderTimeoutMs);
+      const ok = await waitForDom(selectors.query('chatScroller') || document.body, () => {
+        const t = selectors.queryAll('turn')[i];
+        return !!t && isTurnRendered(t);
+      });
+      if (!ok) console.warn('[Exporter] Turn ' + i + ' — no rendered content after ' + CONFIG.renderTimeoutMs + 'ms');
     };
 
+    const formatMs = ms => ms < 1000 ? ms + 'ms' : (ms / 1000).toFixed(1) + 's';
+
     // ══════════════════════════════════════════════════════════════════════════
     // ── Turn extraction ─────────────────────────────────────────────────────
     // ══════════════════════════════════════════════════════════════════════════
 
     const findScroller = () => {
-      const auto = document.querySelector('ms-autoscroll-container');
+      const auto = selectors.query('chatScroller');
       if (auto && auto.scrollHeight > auto.clientHeight) return auto;
-      const ft = document.querySelector('ms-chat-turn');
+      const ft = selectors.query('turn');
       if (ft) {
         let el = ft.parentElement;
         while (el && el !== document.body) {
@@ -308,44 +1767,481 @@
     };
 
     const getTitle = () => {
-      const el = document.querySelector('span.title-input, [aria-label="prompt title"]');
+      const el = selectors.query('title');
       if (el) { const v = (el.value || el.textContent || '').trim(); if (v) return v; }
       return document.title.replace(/ [-|] Google AI Studio.*/, '').trim() || 'AI_Studio_Export';
     };
 
     const getSystemPrompt = () => {
       if (!CONFIG.includeSystemPrompt) return '';
-      for (const sel of [
-        'ms-system-instructions-panel textarea',
-        'textarea[aria-label*="system" i]',
-      ]) {
-        const el = document.querySelector(sel);
+      for (const el of selectors.queryAll('systemInstructions')) {
         if (el && el.value && el.value.trim()) return el.value.trim();
       }
       return '';
     };
 
-    const extractSingleTurn = (turn) => {
-      // ── Role ──
-      let role = 'unknown';
-      const rc = turn.querySelector('[data-turn-role]');
-      if (rc) {
-        const r = rc.getAttribute('data-turn-role').toLowerCase();
-        if (r === 'user') role = 'user'; else if (r === 'model') role = 'model';
+    // ── Run settings (model, sampling, safety, tools, token counts) ──
+    // The run settings panel has no stable hooks, so controls are located by
+    // their visible label and read from the nearest input/switch/select.
+    // Label scans stay inside the panel (or the safety dialog) — never the page.
+    const RUN_SETTINGS_SELECTOR = 'ms-run-settings, ms-prompt-run-settings, [class*="run-settings"]';
+    const SAFETY_SETTINGS_SELECTOR =
+      'ms-safety-settings-dialog, ms-safety-settings, [class*="safety-settings"], mat-dialog-container';
+
+    const findLabelledControl = (root, labels) => {
+      if (!root) return null;
+      const re = new RegExp('^\\s*(' + labels.join('|') + ')\\s*$', 'i');
+      for (const el of root.querySelectorAll('h3, h4, label, mat-label, span, div, p')) {
+        if (el.children.length > 2 || !re.test(el.textContent || '')) continue;
+        let row = el;
+        for (let d = 0; d < 4 && row; d++, row = row.parentElement) {
+          const control = row.querySelector(
+            'mat-slide-toggle, [role="switch"], input, mat-select, [role="combobox"]'
+          );
+          if (control) return control;
+        }
       }
-      if (role === 'unknown') {
-        const c = turn.querySelector('.chat-turn-container');
-        if (c) { if (c.classList.contains('user')) role = 'user'; else if (c.classList.contains('model')) role = 'model'; }
+      return null;
+    };
+
+    const readControl = (control) => {
+      if (!control) return undefined;
+      const sw = control.matches('[role="switch"], input[type="checkbox"]')
+        ? control : control.querySelector('[role="switch"], input[type="checkbox"]');
+      if (sw || control.tagName.toLowerCase() === 'mat-slide-toggle') {
+        if (sw && sw.getAttribute('aria-checked') != null) return sw.getAttribute('aria-checked') === 'true';
+        if (sw && sw.type === 'checkbox') return sw.checked;
+        return control.classList.contains('mat-mdc-slide-toggle-checked');
+      }
+      if (control.tagName.toLowerCase() === 'input') {
+        const n = parseFloat(control.value);
+        return isNaN(n) ? (control.value || undefined) : n;
       }
+      return (control.textContent || '').replace(/arrow_drop_down|expand_more/g, '').trim() || undefined;
+    };
+
+    const parseTokenCount = (text) => {
+      const m = (text || '').replace(/,/g, '').match(/(\d+)/);
+      return m ? parseInt(m[1]) : undefined;
+    };
+
+    const getRunSettings = () => {
+      const root = document.querySelector(RUN_SETTINGS_SELECTOR);
+      const read = (...labels) => readControl(findLabelledControl(root, labels));
+
+      let model;
+      for (const sel of [
+        'ms-model-selector .title', 'ms-model-selector-v3 .title',
+        '[data-test-id="model-selector"]', 'ms-model-selector button',
+      ]) {
+        const el = (root && root.querySelector(sel)) || document.querySelector(sel);
+        const t = el ? (el.textContent || '').replace(/arrow_drop_down|expand_more/g, '').trim() : '';
+        if (t) { model = t; break; }
+      }
+      if (!model) model = read('Model');
+
+      // Safety sliders are only in the DOM while the safety dialog is open
+      const safety = {};
+      const safetyRoot = document.querySelector(SAFETY_SETTINGS_SELECTOR) || root;
+      [['harassment', 'Harassment'], ['hate_speech', 'Hate', 'Hate speech'],
+       ['sexually_explicit', 'Sexually Explicit'], ['dangerous_content', 'Dangerous Content', 'Dangerous'],
+       ['civic_integrity', 'Civic integrity']].forEach(([key, ...labels]) => {
+        const v = readControl(findLabelledControl(safetyRoot, labels));
+        if (v !== undefined) safety[key] = v;
+      });
+
+      const tools = {
+        structured_output: read('Structured output', 'JSON mode'),
+        code_execution: read('Code execution'),
+        function_calling: read('Function calling', 'Function declarations'),
+        grounding: read('Grounding with Google Search', 'Google Search', 'Grounding'),
+        url_context: read('URL context'),
+      };
+      Object.keys(tools).forEach(k => { if (tools[k] === undefined) delete tools[k]; });
+
+      const tokenEl = root && root.querySelector('.token-count, [class*="token-count"], ms-token-count');
+
+      return {
+        model,
+        temperature: read('Temperature'),
+        top_p: read('Top P', 'Top-P'),
+        top_k: read('Top K', 'Top-K'),
+        max_output_tokens: read('Output length', 'Max output tokens', 'Maximum output tokens'),
+        safety_settings: Object.keys(safety).length ? safety : undefined,
+        tools: Object.keys(tools).length ? tools : undefined,
+        token_count: tokenEl ? parseTokenCount(tokenEl.textContent) : undefined,
+      };
+    };
+
+    // YAML front matter; strings are emitted as JSON, which is valid YAML
+    const toFrontMatter = (obj) => {
+      const lines = ['---'];
+      const emit = (o, indent) => Object.entries(o).forEach(([k, v]) => {
+        if (v === undefined || v === null || v === '') return;
+        if (typeof v === 'object' && !Array.isArray(v)) {
+          lines.push(indent + k + ':');
+          emit(v, indent + '  ');
+        } else {
+          lines.push(indent + k + ': ' + JSON.stringify(v));
+        }
+      });
+      emit(obj, '');
+      lines.push('---');
+      return lines.join('\n');
+    };
+
+    // ── Typed chunks: code execution, function calls, grounding ──
+    // AI Studio has renamed these components before, so each type lists several
+    // candidate selectors. Turns containing any of them are exported as an
+    // ordered parts[] list instead of a single text block.
+    const CODE_RESULT_SELECTOR =
+      'ms-code-execution-result-chunk, ms-code-result-chunk, [class*="code-execution-result"]';
+
+    const parseMaybeJson = (text) => { try { return JSON.parse(text); } catch (e) { return text; } };
+
+    const chunkName = (el) => {
+      const n = el.querySelector('.function-name, [class*="function-name"], .name');
+      if (n && n.textContent.trim()) return n.textContent.trim();
+      const m = (el.textContent || '').trim().match(/^([A-Za-z_][\w.]*)\s*\(/);
+      return m ? m[1] : undefined;
+    };
+
+    const chunkBody = (el) => {
+      const pre = el.querySelector('pre, code');
+      return ((pre ? pre.textContent : el.textContent) || '').trim();
+    };
+
+    // A malformed href must not cost the whole turn — fall back to the raw URL
+    const hostnameOf = (url) => {
+      try { return new URL(url).hostname || url; } catch (e) { return url; }
+    };
+
+    const TYPED_CHUNKS = [
+      {
+        type: 'executable_code',
+        selector: 'ms-code-execution-chunk, ms-executable-code-chunk, [class*="executable-code"]',
+        read: (el) => {
+          const pre = Array.from(el.querySelectorAll('pre')).find(p => !p.closest(CODE_RESULT_SELECTOR));
+          if (!pre) return null;
+          const codeEl = pre.querySelector('code') || pre;
+          const code = codeEl.textContent.trimEnd();
+          const langClass = String(codeEl.className).match(/language-(\w+)/);
+          return code ? { language: langClass ? langClass[1] : (pre.getAttribute('data-lang') || 'python'), code } : null;
+        },
+      },
+      {
+        type: 'code_result',
+        selector: CODE_RESULT_SELECTOR,
+        read: (el) => {
+          const output = chunkBody(el);
+          return output ? { outcome: /error|fail/i.test(String(el.className)) ? 'error' : 'ok', output } : null;
+        },
+      },
+      {
+        type: 'function_call',
+        selector: 'ms-function-call-chunk, [class*="function-call-chunk"]',
+        read: el => ({ name: chunkName(el), args: parseMaybeJson(chunkBody(el)) }),
+      },
+      {
+        type: 'function_response',
+        selector: 'ms-function-response-chunk, [class*="function-response"]',
+        read: el => ({ name: chunkName(el), response: parseMaybeJson(chunkBody(el)) }),
+      },
+      {
+        type: 'grounding_sources',
+        selector: 'ms-grounding-sources, ms-search-entry-point, [class*="grounding-sources"]',
+        read: (el) => {
+          const sources = [];
+          const seen = new Set();
+          el.querySelectorAll('a[href^="http"]').forEach(a => {
+            const url = a.getAttribute('href');
+            if (seen.has(url)) return;
+            seen.add(url);
+            sources.push({ title: (a.textContent || '').trim() || hostnameOf(url), url });
+          });
+          const queries = Array.from(el.querySelectorAll('.search-query, [class*="search-query"], .chip'))
+            .map(q => q.textContent.trim()).filter(Boolean);
+          if (!sources.length && !queries.length) return null;
+          return { sources, ...(queries.length ? { queries: [...new Set(queries)] } : {}) };
+        },
+      },
+    ];
+    const TYPED_SELECTOR = TYPED_CHUNKS.map(c => c.selector).join(', ');
+
+    // Ordered parts for turns with typed chunks, null for plain text turns
+    const extractTypedParts = (turn) => {
+      const outsideThought = el => !el.closest(selectors.selector('thoughtChunk'));
+      if (!Array.from(turn.querySelectorAll(TYPED_SELECTOR)).some(outsideThought)) return null;
+
+      const parts = [];
+      turn.querySelectorAll('ms-text-chunk, ' + TYPED_SELECTOR).forEach(el => {
+        if (!outsideThought(el)) return;
+        const parent = el.parentElement;
+        const chunk = TYPED_CHUNKS.find(c => el.matches(c.selector));
+        if (!chunk) {
+          // Text chunk — unless it renders part of a typed chunk or a parent text chunk
+          if (parent && (parent.closest(TYPED_SELECTOR) || parent.closest('ms-text-chunk'))) return;
+          const cr = selectors.query('markdownRoot', el);
+          const text = cr ? htmlToMarkdown(cr) : '';
+          if (text) parts.push({ type: 'text', text });
+          return;
+        }
+        if (parent && parent.closest(chunk.selector)) return; // inner element of the same chunk
+        const part = chunk.read(el);
+        if (part) parts.push({ type: chunk.type, ...part });
+      });
+      return parts;
+    };
+
+    const partToMarkdown = (part) => {
+      const asJson = v => typeof v === 'string' ? fenced(v, 'text') : fenced(JSON.stringify(v, null, 2), 'json');
+      switch (part.type) {
+        case 'text':
+          return part.text;
+        case 'executable_code':
+          return '**▶️ Executed code** (' + part.language + ')\n\n' + fenced(part.code, part.language);
+        case 'code_result':
+          return '**📤 Code output**' + (part.outcome === 'error' ? ' — error' : '') + '\n\n' + fenced(part.output, 'text');
+        case 'function_call':
+          return '**🔧 Function call:** `' + (part.name || '?') + '`\n\n' + asJson(part.args);
+        case 'function_response':
+          return '**📥 Function response:** `' + (part.name || '?') + '`\n\n' + asJson(part.response);
+        case 'grounding_sources': {
+          const lines = ['**🔎 Grounding sources**', ''];
+          part.sources.forEach((s, i) => lines.push((i + 1) + '. [' + s.title.replace(/[[\]]/g, '') + '](' + s.url + ')'));
+          if (part.queries) {
+            if (part.sources.length) lines.push('');
+            lines.push('_Search queries:_ ' + part.queries.map(q => '`' + q + '`').join(', '));
+          }
+          return lines.join('\n');
+        }
+        default:
+          return '';
+      }
+    };
+
+    // ── Rerun / edit variants ──
+    // A turn with alternatives shows a "2 / 3" counter between previous/next
+    // buttons. Neither has a stable hook, so the counter is found by its text
+    // and the buttons by aria-label or icon name.
+    const VARIANT_COUNTER_RE = /^\s*(\d+)\s*(?:\/|of)\s*(\d+)\s*$/;
+
+    const findVariantControls = (turn) => {
+      if (!turn) return null;
+      const counter = Array.from(turn.querySelectorAll('span, div')).find(el =>
+        el.children.length === 0 && VARIANT_COUNTER_RE.test(el.textContent || '') &&
+        !el.closest([selectors.selector('markdownRoot'), selectors.selector('thoughtChunk'), 'pre, code'].join(', ')));
+      if (!counter) return null;
+      const [, index, count] = counter.textContent.match(VARIANT_COUNTER_RE).map(Number);
+      if (count < 2) return null;
+
+      let scope = counter.parentElement;
+      for (let up = 0; scope && up < 3 && scope.querySelectorAll('button').length < 2; up++) scope = scope.parentElement;
+      const buttons = scope ? Array.from(scope.querySelectorAll('button')) : [];
+      const byLabel = re => buttons.find(b => re.test((b.getAttribute('aria-label') || '') + ' ' + b.textContent));
+      const prev = byLabel(/previous|prev\b|older|chevron_left|navigate_before|arrow_back/i);
+      const next = byLabel(/next|newer|chevron_right|navigate_next|arrow_forward/i);
+      return prev && next ? { index, count, prev, next } : null;
+    };
+
+    const expandThoughtPanels = async (turn) => {
+      const opened = [];
+      selectors.queryAll('thoughtPanel', turn).forEach(tp => {
+        if (!tp.classList.contains('mat-expanded')) {
+          const h = selectors.query('thoughtHeader', tp);
+          if (h) try { h.click(); opened.push(tp); } catch (e) {}
+        }
+      });
+      if (!CONFIG.fastExtraction) { await sleep(200); return; }
+      if (opened.length) {
+        await waitForDom(turn, () => opened.every(tp => tp.classList.contains('mat-expanded') || tp.open));
+      }
+    };
+
+    // Steps the counter of turn i to `target`; resolves to the re-rendered turn
+    const selectVariant = async (i, target) => {
+      for (let step = 0; step < 50; step++) {
+        const turn = selectors.queryAll('turn')[i];
+        const ctrl = findVariantControls(turn);
+        if (!ctrl) return null;
+        if (ctrl.index === target) return turn;
+        (ctrl.index < target ? ctrl.next : ctrl.prev).click();
+        for (let w = 0; w < 20; w++) {
+          await sleep(150);
+          const c = findVariantControls(selectors.queryAll('turn')[i]);
+          if (c && c.index !== ctrl.index) break;
+        }
+      }
+      return null;
+    };
+
+    // Extracts every non-active alternative of turn i. When selecting one swaps
+    // out the rest of the conversation, the turns that follow it are extracted
+    // too (without walking their own alternatives). The originally active
+    // alternative is reselected before returning.
+    const walkVariants = async (i) => {
+      const turnAt = j => selectors.queryAll('turn')[j];
+      const ctrl = findVariantControls(turnAt(i));
+      if (!ctrl) return null;
+      const followingHash = () => turnAt(i + 1) ? fingerprintTurn(turnAt(i + 1)) : '';
+      const mainHash = followingHash();
+      const mainCount = selectors.queryAll('turn').length;
+
+      const alternatives = [];
+      for (let v = 1; v <= ctrl.count; v++) {
+        if (v === ctrl.index) continue;
+        setStatus('Walking variants...', 'Turn ' + (i + 1) + ' — variant ' + v + '/' + ctrl.count);
+        const turn = await selectVariant(i, v);
+        if (!turn) { console.warn('[Exporter] Turn ' + i + ' — could not select variant ' + v); continue; }
+        await sleep(CONFIG.scrollDelayMs);
+        await expandThoughtPanels(turnAt(i));
+        const alt = { variant: v, ...extractSingleTurn(turnAt(i), i) };
+
+        const count = selectors.queryAll('turn').length;
+        if (count !== mainCount || followingHash() !== mainHash) {
+          alt.continuation = [];
+          for (let j = i + 1; j < count; j++) {
+            if (!turnAt(j)) continue;
+            turnAt(j).scrollIntoView({ behavior: 'instant', block: 'center' });
+            await sleep(CONFIG.scrollDelayMs);
+            if (!turnAt(j)) continue;
+            await expandThoughtPanels(turnAt(j));
+            const data = extractSingleTurn(turnAt(j), j);
+            if (data.content || data.thinking) alt.continuation.push({ turnIndex: j, ...data });
+          }
+          turnAt(i).scrollIntoView({ behavior: 'instant', block: 'center' });
+          await sleep(CONFIG.scrollDelayMs);
+        }
+        alternatives.push(alt);
+      }
+
+      await selectVariant(i, ctrl.index);
+      for (let w = 0; w < 20 && followingHash() !== mainHash; w++) await sleep(150);
+      return { index: ctrl.index, count: ctrl.count, alternatives };
+    };
+
+    // Active path plus every walked alternative as nodes linked by parent /
+    // children ids: "t<turn>" on the active path, "t<turn>.v<n>" for an
+    // alternative, "<alternative id>/t<turn>" for turns continuing it.
+    const buildTurnTree = (messages) => {
+      const nodes = [];
+      const byId = {};
+      const add = (id, parent, m, extra = {}) => {
+        const node = {
+          id, parent, children: [], role: m.role, ...extra, content: m.content,
+          ...(m.thinking ? { thinking: m.thinking } : {}),
+          ...(m.tokens != null ? { tokens: m.tokens } : {}),
+          ...(m.parts ? { parts: m.parts } : {}),
+        };
+        nodes.push(node);
+        byId[id] = node;
+        if (parent) byId[parent].children.push(id);
+      };
+
+      let parent = null;
+      messages.forEach(m => {
+        const id = 't' + m.turnIndex;
+        const v = m.variants;
+        add(id, parent, m, v ? { variant: v.index, variant_count: v.count, active: true } : {});
+        (v ? v.alternatives : []).forEach(alt => {
+          const altId = id + '.v' + alt.variant;
+          add(altId, parent, alt, { variant: alt.variant, variant_count: v.count, active: false });
+          let p = altId;
+          (alt.continuation || []).forEach(c => {
+            add(altId + '/t' + c.turnIndex, p, c);
+            p = altId + '/t' + c.turnIndex;
+          });
+        });
+        parent = id;
+      });
+      return { active_path: messages.map(m => 't' + m.turnIndex), nodes };
+    };
+
+    // Markdown for the alternatives of one message, each in a labelled <details>
+    const variantsToMarkdown = (msg) => {
+      const md = [];
+      msg.variants.alternatives.forEach(alt => {
+        md.push('<details>');
+        md.push('<summary>🔀 Variant ' + alt.variant + ' of ' + msg.variants.count + '</summary>');
+        md.push('');
+        if (alt.thinking) md.push('_💭 Thinking:_', '', alt.thinking, '');
+        md.push(alt.content);
+        md.push('');
+        (alt.continuation || []).forEach(c => {
+          md.push('#### ↳ ' + (c.role === 'user' ? '👤 User' : '🤖 Model'));
+          md.push('');
+          md.push(c.content);
+          md.push('');
+        });
+        md.push('</details>');
+        md.push('');
+      });
+      return md;
+    };
+
+    // ── Turn filters ──
+    // Range and role are read before Phase 2 so skipped turns are never
+    // scrolled to; minimum length and the text filter need the extracted content.
+    const readTurnRole = (turn) => {
+      const rc = selectors.query('turnRole', turn);
+      if (rc) {
+        const r = (rc.getAttribute('data-turn-role') || rc.getAttribute('data-role') || rc.className || '').toLowerCase();
+        if (/\buser\b/.test(r)) return 'user';
+        if (/\bmodel\b/.test(r)) return 'model';
+      }
+      const c = turn.querySelector('.chat-turn-container');
+      if (c) { if (c.classList.contains('user')) return 'user'; if (c.classList.contains('model')) return 'model'; }
+      return 'unknown';
+    };
+
+    // 'text' → case-insensitive substring, '/pattern/flags' → RegExp.
+    // Compiled inside the main try, so an invalid pattern is reported there.
+    let matchFilter = null;
+    const compileMatch = (pattern) => {
+      if (!pattern) return null;
+      const re = pattern.match(/^\/(.+)\/([a-z]*)$/);
+      if (re) return new RegExp(re[1], re[2].replace(/[gy]/g, ''));
+      const needle = pattern.toLowerCase();
+      return { test: s => s.toLowerCase().includes(needle) };
+    };
+
+    const inTurnRange = (i) => {
+      if (!CONFIG.turnRange) return true;
+      const [from = 1, to = Infinity] = CONFIG.turnRange;
+      return i + 1 >= from && i + 1 <= to;
+    };
+    const roleWanted = role => !CONFIG.roles.length || CONFIG.roles.includes(role);
+    const passesContentFilters = data => data.content.length >= CONFIG.minLength &&
+      (!matchFilter || matchFilter.test(data.content + '\n' + (data.thinking || '')));
+
+    // First line of the answer text (thinking excluded) for the picker
+    const turnPreview = (turn) => {
+      const clone = (selectors.query('textChunk', turn) || turn).cloneNode(true);
+      clone.querySelectorAll(selectors.selector('thoughtChunk')).forEach(n => n.remove());
+      const line = (clone.textContent || '').split('\n').map(l => l.trim()).find(Boolean);
+      return line ? line.substring(0, 90) : '(not rendered yet — no preview)';
+    };
+
+    // Human-readable summary of the active filters, '' when none apply
+    const describeFilters = (picked) => [
+      CONFIG.turnRange ? 'turns ' + (CONFIG.turnRange[0] || 1) + '–' + (CONFIG.turnRange[1] || 'end') : '',
+      CONFIG.roles.length ? 'roles: ' + CONFIG.roles.join(', ') : '',
+      CONFIG.minLength ? 'min ' + CONFIG.minLength + ' chars' : '',
+      CONFIG.match ? 'matching ' + CONFIG.match : '',
+      picked != null ? picked + ' picked' : '',
+    ].filter(Boolean).join(' · ');
+
+    const extractSingleTurn = (turn, turnIndex) => {
+      const role = readTurnRole(turn);
 
       // ── Thinking ──
       let thinking = '';
       if (CONFIG.includeThinking) {
-        const thoughtChunk = turn.querySelector('ms-thought-chunk');
+        const thoughtChunk = selectors.query('thoughtChunk', turn);
         if (thoughtChunk) {
-          const tp = thoughtChunk.querySelector('mat-expansion-panel.thought-panel');
+          const tp = selectors.query('thoughtPanel', thoughtChunk);
           if (tp) {
-            const cr = tp.querySelector('ms-cmark-node.cmark-node');
+            const cr = selectors.query('markdownRoot', tp);
             if (cr) thinking = htmlToMarkdown(cr);
             else {
               const body = tp.querySelector('.mat-expansion-panel-body');
@@ -355,24 +2251,36 @@
         }
       }
 
-      // ── Main text content ──
+      // ── Main text content — typed chunks replace the single text block, in DOM order ──
+      // Each converter pass collects the images it meets, so only one runs.
+      // ms-image-chunk images are collected below, never by the fallbacks.
+      const parts = extractTypedParts(turn);
       let content = '';
-      const textChunkContainer = turn.querySelector('ms-prompt-chunk.text-chunk');
-      if (textChunkContainer) {
-        const allTC = textChunkContainer.querySelectorAll('ms-text-chunk');
-        for (const tc of allTC) {
-          if (tc.closest('ms-thought-chunk')) continue;
-          const cr = tc.querySelector('ms-cmark-node.cmark-node');
-          if (cr) { content = htmlToMarkdown(cr); break; }
+      if (parts) {
+        content = parts.map(partToMarkdown).filter(Boolean).join('\n\n');
+      } else {
+        const textChunkContainer = selectors.query('textChunk', turn);
+        if (textChunkContainer) {
+          const allTC = textChunkContainer.querySelectorAll('ms-text-chunk');
+          for (const tc of allTC) {
+            if (tc.closest(selectors.selector('thoughtChunk'))) continue;
+            const cr = selectors.query('markdownRoot', tc);
+            if (cr) { content = htmlToMarkdown(cr); break; }
+          }
         }
+        const withoutImageChunks = (el) => {
+          const clone = el.cloneNode(true);
+          clone.querySelectorAll('ms-image-chunk').forEach(n => n.remove());
+          return clone;
+        };
+        if (!content) {
+          const tc = turn.querySelector('.turn-content');
+          if (tc) content = htmlToMarkdown(withoutImageChunks(tc));
+        }
+        if (!content) content = htmlToMarkdown(withoutImageChunks(turn));
+        content = content.replace(/^\s*(User|Model)\s*\n/, '').trim();
       }
-      if (!content) {
-        const tc = turn.querySelector('.turn-content');
-        if (tc) content = htmlToMarkdown(tc);
-      }
-      if (!content) content = htmlToMarkdown(turn);
-
-      content = content.replace(/^\s*(User|Model)\s*\n/, '').trim();
+      const partsContentLength = content.length;
 
       // ── Collect images from ALL ms-image-chunk elements in this turn ──
       // These live in ms-prompt-chunk (without .text-chunk) → ms-image-chunk → img
@@ -384,33 +2292,44 @@
         // Thinking spinner — skip
         if (src.includes('watermark/watermark.png') || img.classList.contains('thinking-progress-icon')) return;
 
-        if (CONFIG.extractImages && src.startsWith('data:image/')) {
-          const filename = getImageFilename(src, alt);
-          const commaIdx = src.indexOf(',');
-          if (commaIdx !== -1) {
-            const mimeMatch = src.match(/^data:(image\/[^;]+)/);
-            const mimeType = mimeMatch ? mimeMatch[1] : 'image/png';
-            const b64 = src.substring(commaIdx + 1);
-            collectedImages.push({ filename, mimeType, base64data: b64 });
-          }
-          content += (content ? '\n\n' : '') + '![' + alt + '](' + filename + ')';
-        } else if (src.startsWith('blob:')) {
-          // Blob URLs — attempt to fetch and convert
-          const filename = getImageFilename('data:image/png', alt);
-          collectedImages.push({ filename, mimeType: 'image/png', blobUrl: src });
-          content += (content ? '\n\n' : '') + '![' + alt + '](' + filename + ')';
+        if ((CONFIG.extractImages && src.startsWith('data:image/')) || src.startsWith('blob:')) {
+          content += (content ? '\n\n' : '') + '![' + alt + '](' + collectImage(src, alt) + ')';
         } else if (src && !src.includes('watermark')) {
           content += (content ? '\n\n' : '') + '![' + alt + '](' + src + ')';
         }
       });
 
-      return { role, content, thinking: thinking || undefined };
+      // ── File attachments — linked when retrievable, listed either way ──
+      const attachments = collectAttachments(turn, turnIndex);
+      if (attachments.length) {
+        content += (content ? '\n\n' : '') + attachments.map(att => att.src
+          ? '📎 [' + att.originalName + '](' + att.filename + ')'
+          : '📎 ' + att.originalName + ' _(not retrievable)_').join('\n');
+      }
+
+      // ── Token count shown on the turn (if any) ──
+      const tokenEl = turn.querySelector('.token-count, [class*="token-count"], ms-token-count');
+      const tokens = tokenEl ? parseTokenCount(tokenEl.textContent) : undefined;
+
+      // Anything appended after the typed parts (images) becomes a trailing text part
+      if (parts && content.length > partsContentLength) {
+        parts.push({ type: 'text', text: content.slice(partsContentLength).trim() });
+      }
+
+      return {
+        role, content, thinking: thinking || undefined, tokens, parts: parts || undefined,
+        attachments: attachments.length
+          ? attachments.map(att => ({ name: att.originalName, filename: att.filename, mime_type: att.mimeType }))
+          : undefined,
+      };
     };
 
     // ══════════════════════════════════════════════════════════════════════════
     // ── Main ────────────────────────────────────────────────────────────────
     // ══════════════════════════════════════════════════════════════════════════
     try {
+      matchFilter = compileMatch(CONFIG.match);
+
       // ── Page validation ──────────────────────────────────────────────────
       const hostname = window.location.hostname;
       const pathname = window.location.pathname;
@@ -525,46 +2444,193 @@
         lastH = scroller.scrollHeight;
       }
 
-      const totalTurns = document.querySelectorAll('ms-chat-turn').length;
-      setStatus('Found ' + totalTurns + ' turns. Extracting...');
+      const totalTurns = selectors.queryAll('turn').length;
+      if (totalTurns === 0) {
+        downloadFile(selectors.report({ reason: 'No chat turns found', page: 'prompts' }),
+          'ai_studio_selector_drift_' + Date.now() + '.txt');
+        setStatus('⚠️ No turns found!', 'Selector drift report downloaded');
+        await sleep(4000); overlay.remove(); return;
+      }
+
+      // Turn selection — range and role need no scrolling; the picker comes last
+      const turnEls = selectors.queryAll('turn');
+      let selected = [];
+      for (let i = 0; i < totalTurns; i++) {
+        if (inTurnRange(i) && roleWanted(readTurnRole(turnEls[i]))) selected.push(i);
+      }
+      let picked = null;
+      if (CONFIG.pickTurns && selected.length) {
+        setStatus('Pick turns to export', selected.length + ' of ' + totalTurns + ' turns match the filters');
+        const choice = await pickTurns(selected.map(i => ({ index: i, role: readTurnRole(turnEls[i]), preview: turnPreview(turnEls[i]) })));
+        if (!choice) { setStatus('Cancelled.'); await sleep(1500); overlay.remove(); return; }
+        selected = selected.filter(i => choice.has(i));
+        picked = selected.length;
+      }
+      const selectedTurns = new Set(selected);
+      const filterSummary = describeFilters(picked);
+      let filteredOut = totalTurns - selectedTurns.size;
+      setStatus('Found ' + totalTurns + ' turns' +
+        (filterSummary ? ' (' + selectedTurns.size + ' selected)' : '') + '. Extracting...');
+
+      // Checkpoint store — resume an interrupted run, or diff against the last one
+      const store = await createCheckpointStore(promptMatch[1]);
+      const prevRun = store ? await store.getRun() : null;
+      const settings = checkpointSettings();
+      const resuming = !!(prevRun && prevRun.status === 'in-progress' && prevRun.turnCount === totalTurns &&
+        prevRun.settings === settings);
+      const counts = resuming ? { ...prevRun.counts } : { new: 0, changed: 0, unchanged: 0 };
+      // fixedMs: what the old scroll + sleep per turn would have cost
+      const timing = { inPlace: 0, scrolled: 0, waitedMs: 0, fixedMs: 0 };
+      // Only the waits fixedMs stands in for are timed — extraction, IndexedDB
+      // and variant walks cost the same either way
+      const waited = async (wait) => {
+        const start = Date.now();
+        await wait();
+        timing.waitedMs += Date.now() - start;
+      };
+      const resumeFrom = resuming ? prevRun.nextIndex : 0;
+      if (resuming) console.log('[Exporter] Resuming interrupted export at turn ' + (resumeFrom + 1));
+
+      // A message plus every rerun/edit alternative and continuation stored with it
+      const withAlternatives = m => [m, ...(m.variants ? m.variants.alternatives.flatMap(a => [a, ...(a.continuation || [])]) : [])];
+
+      // Blob URLs die with the page that created them — a checkpoint holding
+      // one, or saved under other settings, is re-extracted instead of restored
+      const restorable = record => record.settings === settings && ![
+        ...(record.images || []).map(img => img.blobUrl),
+        ...(record.attachments || []).map(att => att.src),
+      ].some(url => url && url.startsWith('blob:'));
+
+      // Stored file names came from another run's counters — re-register them
+      // so they can't collide with files extracted live, and relink the messages
+      const restoreFiles = (record) => {
+        const renamed = new Map();
+        (record.images || []).forEach(img => {
+          const stem = img.filename.replace(/\.[^.]+$/, '');
+          const filename = getImageFilename('data:' + img.mimeType, /^image_\d+$/.test(stem) ? '' : stem);
+          renamed.set(img.filename, filename);
+          collectedImages.push({ ...img, filename });
+        });
+        (record.attachments || []).forEach(att => {
+          const filename = uniqueAttachmentName(att.originalName);
+          renamed.set(att.filename, filename);
+          collectedAttachments.push({ ...att, filename });
+        });
+        if (renamed.size) {
+          const relink = text => text && text.replace(/\]\(([^)\s]+)\)/g, (link, name) =>
+            renamed.has(name) ? '](' + renamed.get(name) + ')' : link);
+          withAlternatives(record.data).forEach(m => {
+            m.content = relink(m.content);
+            if (m.thinking) m.thinking = relink(m.thinking);
+            (m.parts || []).forEach(p => { if (p.type === 'text') p.text = relink(p.text); });
+            (m.attachments || []).forEach(a => { if (renamed.has(a.filename)) a.filename = renamed.get(a.filename); });
+          });
+        }
+      };
 
       // Phase 2: Per-turn extraction
       const messages = [];
       for (let i = 0; i < totalTurns; i++) {
-        let turn = document.querySelectorAll('ms-chat-turn')[i];
-        if (!turn) continue;
-        turn.scrollIntoView({ behavior: 'instant', block: 'center' });
-        await sleep(CONFIG.scrollDelayMs);
+        if (!selectedTurns.has(i)) continue;
+
+        // Already checkpointed by the interrupted run — no need to scroll
+        if (i < resumeFrom) {
+          const record = await store.getTurn(i);
+          if (record && restorable(record)) {
+            restoreFiles(record);
+            setStatus('Restoring checkpoint...', 'Turn ' + (i + 1) + '/' + totalTurns);
+            if (!(record.data.content || record.data.thinking)) continue;
+            if (passesContentFilters(record.data)) messages.push(record.data);
+            else filteredOut++;
+            continue;
+          }
+        }
 
-        turn = document.querySelectorAll('ms-chat-turn')[i];
+        let turn = selectors.queryAll('turn')[i];
         if (!turn) continue;
+        if (CONFIG.fastExtraction && isTurnRendered(turn)) {
+          timing.inPlace++;
+        } else {
+          await waited(() => scrollTurnIntoView(i, turn));
+          timing.scrolled++;
+          turn = selectors.queryAll('turn')[i];
+          if (!turn) continue;
+        }
 
-        // Expand thinking
-        turn.querySelectorAll('mat-expansion-panel.thought-panel').forEach(tp => {
-          if (!tp.classList.contains('mat-expanded')) {
-            const h = tp.querySelector('mat-expansion-panel-header');
-            if (h) try { h.click(); } catch (e) {}
+        const hash = fingerprintTurn(turn);
+        const record = store ? await store.getTurn(i) : null;
+        let data;
+
+        // A checkpoint from a run without branch walking, or from before a
+        // rerun added another alternative, lacks some of the alternatives
+        const variantCtrl = CONFIG.exportBranches ? findVariantControls(turn) : null;
+        const needsVariants = !!variantCtrl &&
+          !(record && record.data.variants && record.data.variants.count === variantCtrl.count);
+
+        if (record && record.hash === hash && !needsVariants && restorable(record)) {
+          data = record.data;
+          restoreFiles(record);
+          counts.unchanged++;
+        } else {
+          await waited(() => expandThoughtPanels(turn));
+          turn = selectors.queryAll('turn')[i];
+          const imagesBefore = collectedImages.length;
+          const attachmentsBefore = collectedAttachments.length;
+          data = extractSingleTurn(turn, i);
+          data.turnIndex = i;
+          if (CONFIG.exportBranches) {
+            reuseSince = { images: imagesBefore, attachments: attachmentsBefore };
+            try {
+              const variants = await walkVariants(i);
+              if (variants) data.variants = variants;
+            } finally {
+              reuseSince = null;
+            }
           }
-        });
-        await sleep(200);
-
-        turn = document.querySelectorAll('ms-chat-turn')[i];
-        const data = extractSingleTurn(turn);
-        data.turnIndex = i;
+          counts[record ? 'changed' : 'new']++;
+          timing.fixedMs += 200;
+          if (store) {
+            await store.putTurn(i, {
+              hash, settings, data,
+              images: collectedImages.slice(imagesBefore),
+              attachments: collectedAttachments.slice(attachmentsBefore),
+            });
+          }
+        }
+        timing.fixedMs += CONFIG.scrollDelayMs;
+        if (store) await store.putRun({ status: 'in-progress', settings, turnCount: totalTurns, nextIndex: i + 1, counts });
 
         setStatus('Extracting...', 'Turn ' + (i + 1) + '/' + totalTurns +
           ' (' + data.role + ', ' + data.content.length + ' chars)');
 
-        if (data.content || data.thinking) messages.push(data);
-        else console.warn('[Exporter] Turn ' + i + ' — empty');
+        if (!(data.content || data.thinking)) console.warn('[Exporter] Turn ' + i + ' — empty');
+        else if (passesContentFilters(data)) messages.push(data);
+        else filteredOut++;
       }
 
+      const turnStats = counts.new + ' new / ' + counts.changed + ' changed / ' + counts.unchanged + ' unchanged';
+      if (store) {
+        await store.putRun({ status: 'complete', settings, turnCount: totalTurns, nextIndex: totalTurns, counts });
+        await store.pruneFrom(totalTurns);
+        store.close();
+      }
+      console.log('[Exporter] Turns: ' + turnStats);
+      const speedStats = CONFIG.fastExtraction && (timing.inPlace + timing.scrolled)
+        ? timing.inPlace + ' read in place / ' + timing.scrolled + ' scrolled, ~' +
+          formatMs(Math.max(0, timing.fixedMs - timing.waitedMs)) + ' saved'
+        : '';
+      if (speedStats) console.log('[Exporter] Fast extraction: ' + speedStats + ' (waited ' + formatMs(timing.waitedMs) + ' vs ' + formatMs(timing.fixedMs) + ' fixed)');
+
       if (messages.length === 0) {
-        setStatus('⚠️ No content!'); await sleep(4000); overlay.remove(); return;
+        downloadFile(selectors.report({ reason: totalTurns + ' turns found but no content extracted', page: 'prompts' }),
+          'ai_studio_selector_drift_' + Date.now() + '.txt');
+        setStatus('⚠️ No content!', 'Selector drift report downloaded');
+        await sleep(4000); overlay.remove(); return;
       }
 
-      // Phase 3: System prompt
+      // Phase 3: System prompt + run settings
       const systemPrompt = getSystemPrompt();
+      const runSettings = CONFIG.includeRunSettings ? getRunSettings() : undefined;
 
       // Phase 4: Download
       setStatus('Generating files...');
@@ -572,13 +2638,75 @@
       const ts = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
       const base = safeName + '_' + ts;
 
+      // ZIP mode collects every output instead of downloading it, and files
+      // move into images/ and attachments/ — rewrite the links to match
+      const zip = CONFIG.exportFormat === 'zip' ? createZip() : null;
+      const wants = fmt => CONFIG.exportFormat === fmt || CONFIG.exportFormat === 'both' || !!zip;
+      const emitFile = (content, filename, mimeType) =>
+        zip ? zip.add(filename, content) : downloadFile(content, filename, mimeType);
+      const imagePath = name => zip ? 'images/' + name : name;
+      const attachmentPath = name => zip ? 'attachments/' + name : name;
+
+      if (zip) {
+        const rewriteLinks = text => {
+          collectedImages.forEach(img => {
+            text = text.split('](' + img.filename + ')').join('](' + imagePath(img.filename) + ')');
+          });
+          collectedAttachments.forEach(att => {
+            text = text.split('](' + att.filename + ')').join('](' + attachmentPath(att.filename) + ')');
+          });
+          return text;
+        };
+        // Thinking and every rerun/edit alternative (and its continuation) link files too
+        messages.flatMap(withAlternatives).forEach(m => {
+          m.content = rewriteLinks(m.content);
+          if (m.thinking) m.thinking = rewriteLinks(m.thinking);
+          (m.parts || []).forEach(p => { if (p.type === 'text') p.text = rewriteLinks(p.text); });
+          (m.attachments || []).forEach(a => { a.filename = attachmentPath(a.filename); });
+        });
+      }
+
+      const exportJson = {
+        title,
+        exported_at: new Date().toISOString(),
+        source: window.location.href,
+        system_instruction: systemPrompt || undefined,
+        run_settings: runSettings,
+        turn_count: messages.length,
+        turn_stats: counts,
+        turn_filter: filterSummary ? { summary: filterSummary, skipped: filteredOut } : undefined,
+        images: collectedImages.length > 0
+          ? collectedImages.map(img => imagePath(img.filename))
+          : undefined,
+        attachments: collectedAttachments.length > 0
+          ? collectedAttachments.map(att => attachmentPath(att.filename))
+          : undefined,
+        messages: messages.map(m => ({
+          ...(filterSummary ? { turn: m.turnIndex + 1 } : {}),
+          role: m.role, content: m.content,
+          ...(m.thinking ? { thinking: m.thinking } : {}),
+          ...(m.tokens != null ? { tokens: m.tokens } : {}),
+          ...(m.parts ? { parts: m.parts } : {}),
+          ...(m.attachments ? { attachments: m.attachments } : {}),
+          ...(m.variants ? { variant: m.variants.index, variant_count: m.variants.count } : {}),
+        })),
+        turn_tree: CONFIG.exportBranches ? buildTurnTree(messages) : undefined,
+      };
+
       // Markdown
-      if (CONFIG.exportFormat === 'markdown' || CONFIG.exportFormat === 'both') {
+      if (wants('markdown')) {
         const md = [];
+        if (runSettings) {
+          md.push(toFrontMatter({
+            title, source: window.location.href, exported_at: exportJson.exported_at, ...runSettings,
+          }));
+          md.push('');
+        }
         md.push('# ' + title);
         md.push('');
         md.push('> Exported from Google AI Studio on ' + new Date().toISOString());
         md.push('> Source: ' + window.location.href);
+        if (filterSummary) md.push('> Filter: ' + filterSummary + ' (' + messages.length + ' of ' + totalTurns + ' turns)');
         md.push('');
         if (systemPrompt) {
           md.push('## System Instructions');
@@ -591,7 +2719,10 @@
         md.push('---');
         md.push('');
         messages.forEach(msg => {
-          md.push(msg.role === 'user' ? '## 👤 User' : '## 🤖 Model');
+          md.push((msg.role === 'user' ? '## 👤 User' : '## 🤖 Model') +
+            (msg.tokens != null ? ' · ' + msg.tokens.toLocaleString() + ' tokens' : '') +
+            (msg.variants ? ' · variant ' + msg.variants.index + ' of ' + msg.variants.count : '') +
+            (filterSummary ? ' · turn ' + (msg.turnIndex + 1) : ''));
           md.push('');
           if (msg.thinking) {
             md.push('<details>');
@@ -604,28 +2735,59 @@
           }
           md.push(msg.content);
           md.push('');
+          if (msg.variants) md.push(...variantsToMarkdown(msg));
           md.push('---');
           md.push('');
         });
-        downloadFile(md.join('\n'), base + '.md', 'text/markdown');
+        await emitFile(md.join('\n'), base + '.md', 'text/markdown');
       }
 
       // JSON
-      if (CONFIG.exportFormat === 'json' || CONFIG.exportFormat === 'both') {
-        downloadFile(JSON.stringify({
-          title,
-          exported_at: new Date().toISOString(),
-          source: window.location.href,
-          system_instruction: systemPrompt || undefined,
-          turn_count: messages.length,
-          images: collectedImages.length > 0
-            ? collectedImages.map(img => img.filename)
-            : undefined,
-          messages: messages.map(m => ({
-            role: m.role, content: m.content,
-            ...(m.thinking ? { thinking: m.thinking } : {}),
-          }))
-        }, null, 2), base + '.json', 'application/json');
+      if (wants('json')) {
+        await emitFile(JSON.stringify(exportJson, null, 2), base + '.json', 'application/json');
+      }
+
+      // API request formats
+      if (CONFIG.apiFormats.includes('gemini')) {
+        await emitFile(JSON.stringify(await toGeminiRequest(exportJson), null, 2),
+          base + '.gemini.json', 'application/json');
+      }
+      if (CONFIG.apiFormats.includes('openai') || CONFIG.apiFormats.includes('jsonl')) {
+        const openAIMessages = await toOpenAIMessages(exportJson);
+        if (CONFIG.apiFormats.includes('openai')) {
+          await emitFile(JSON.stringify(openAIMessages, null, 2), base + '.openai.json', 'application/json');
+        }
+        if (CONFIG.apiFormats.includes('jsonl')) {
+          await emitFile(JSON.stringify({ messages: openAIMessages }) + '\n', base + '.jsonl', 'application/jsonl');
+        }
+      }
+
+      // HTML transcript and print-to-PDF
+      if (CONFIG.transcriptFormats.includes('html')) {
+        await emitFile(await buildTranscriptHtml(exportJson), base + '.html', 'text/html');
+      }
+      if (CONFIG.transcriptFormats.includes('pdf')) {
+        setStatus('Opening print view...', 'Choose "Save as PDF" as the destination');
+        if (!(await printTranscript(await buildTranscriptHtml(exportJson, { forPrint: true })))) {
+          console.warn('[Exporter] Pop-up blocked — allow pop-ups for this site, or print the .html transcript');
+          if (!CONFIG.transcriptFormats.includes('html')) {
+            await emitFile(await buildTranscriptHtml(exportJson, { forPrint: true }), base + '.html', 'text/html');
+          }
+        }
+      }
+
+      // Compare against a previous JSON export
+      let diffSummary = '';
+      if (CONFIG.compareWithPrevious) {
+        setStatus('Compare mode', 'Pick a previous JSON export of this chat');
+        const prevExport = await pickJsonFile('Previous JSON export to compare against:');
+        if (prevExport && Array.isArray(prevExport.messages)) {
+          const { markdown, tally } = buildDiffReport(prevExport, exportJson);
+          await emitFile(markdown, base + '_diff.md', 'text/markdown');
+          diffSummary = 'Diff: +' + tally.added + ' −' + tally.removed + ' ✏️' + tally.edited;
+        } else if (prevExport) {
+          console.warn('[Exporter] Selected file has no messages[] — not an exporter JSON, skipping diff');
+        }
       }
 
       // Phase 5: Download extracted images
@@ -641,14 +2803,15 @@
             } else if (img.blobUrl) {
               // Fetch the blob URL (works for same-origin blob URLs)
               try {
-                const resp = await fetch(img.blobUrl);
-                blob = await resp.blob();
+                blob = await fetchBlob(img.blobUrl);
               } catch (e) {
                 console.warn('[Exporter] Could not fetch blob URL for: ' + img.filename, e);
                 continue;
               }
             }
-            if (blob) {
+            if (blob && zip) {
+              await zip.add(imagePath(img.filename), blob);
+            } else if (blob) {
               downloadBlob(blob, img.filename);
               await sleep(300); // gap between downloads to avoid browser throttling
             }
@@ -658,10 +2821,63 @@
         }
       }
 
+      // Phase 6: Download attachments + manifest
+      const attachmentManifest = [];
+      if (collectedAttachments.length > 0) {
+        for (let i = 0; i < collectedAttachments.length; i++) {
+          const att = collectedAttachments[i];
+          setStatus('Saving attachment...', (i + 1) + '/' + collectedAttachments.length + ': ' + att.filename);
+          const entry = {
+            name: att.originalName, filename: attachmentPath(att.filename), mime_type: att.mimeType, turn: att.turnIndex,
+          };
+          if (!att.src) {
+            attachmentManifest.push({ ...entry, status: 'missing', reason: 'bytes not held by the page',
+              ...(att.sourceUrl ? { source_url: att.sourceUrl } : {}) });
+            continue;
+          }
+          try {
+            const dataMatch = att.src.match(/^data:[^,]*;base64,(.*)$/);
+            const blob = dataMatch
+              ? base64ToBlob(dataMatch[1], att.mimeType)
+              : new Blob([await fetchBlob(att.src)], { type: att.mimeType });
+            if (zip) {
+              await zip.add(attachmentPath(att.filename), blob);
+            } else {
+              downloadBlob(blob, att.filename);
+              await sleep(300);
+            }
+            attachmentManifest.push({ ...entry, status: 'saved', size: blob.size });
+          } catch (e) {
+            console.warn('[Exporter] Could not retrieve attachment: ' + att.filename, e);
+            attachmentManifest.push({ ...entry, status: 'failed', reason: e.message || String(e) });
+          }
+        }
+        await emitFile(JSON.stringify({
+          exported_at: new Date().toISOString(),
+          source: window.location.href,
+          saved: attachmentManifest.filter(a => a.status === 'saved').length,
+          missing: attachmentManifest.filter(a => a.status === 'missing').length,
+          failed: attachmentManifest.filter(a => a.status === 'failed').length,
+          attachments: attachmentManifest,
+        }, null, 2), base + '_attachments.json', 'application/json');
+      }
+      const missingAttachments = attachmentManifest.filter(a => a.status === 'missing').length;
+      const failedAttachments = attachmentManifest.filter(a => a.status === 'failed').length;
+
+      if (zip) {
+        setStatus('Writing ZIP...', zip.size() + ' files');
+        downloadBlob(zip.toBlob(), base + '.zip');
+      }
+
       setStatus(
         '✅ Done! ' + messages.length + '/' + totalTurns + ' turns' +
-          (collectedImages.length > 0 ? ', ' + collectedImages.length + ' images' : '') + ' exported.',
-        base + '.*'
+          (collectedImages.length > 0 ? ', ' + collectedImages.length + ' images' : '') +
+          (collectedAttachments.length > 0 ? ', ' + collectedAttachments.length + ' attachments' : '') +
+          (missingAttachments || failedAttachments
+            ? ' (' + [missingAttachments && missingAttachments + ' missing', failedAttachments && failedAttachments + ' failed']
+              .filter(Boolean).join(', ') + ')'
+            : '') + ' exported.',
+        [turnStats, speedStats, diffSummary, base + (zip ? '.zip' : '.*')].filter(Boolean).join(' — ')
       );
       await sleep(5000);
 
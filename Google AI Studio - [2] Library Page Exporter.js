@@ -4,6 +4,17 @@
 // Run on: https://aistudio.google.com/library
 // Exports all prompts/chats listed on the page as JSON and/or CSV.
 // Scrolls the table to capture all entries if virtualized.
+// Batch mode: visits each chat in-app and exports all of them into one ZIP
+// with an index of per-chat success/failure. Resumable via IndexedDB.
+// Deep mode: the same visit adds per-prompt details (turns, first message,
+// system instruction, model, size, attachments) to every output.
+// Compare mode: new / deleted / renamed / edited prompts since a previous
+// export or the last run kept in IndexedDB, as Markdown + JSON.
+// Relative Updated dates ("2 hours ago", "Mar 4") become ISO 8601 timestamps;
+// the cell text is kept as updatedRaw and the timestamp's unit as updatedGranularity.
+// Grouping by type / month / tag rules with a table of contents, and an
+// optional Obsidian vault (one note per prompt + index note) as a ZIP.
+// Selector registry with fallbacks; a drift report is downloaded when nothing matches.
 // =============================================================================
 
 (async () => {
@@ -12,9 +23,28 @@
     const CONFIG = {
       exportFormat: 'all', // 'json', 'csv', 'markdown', or 'all'
       scrollDelayMs: 300,
+      batchExport: false,  // also open every chat and export it into one ZIP
+      deepDetails: false,  // open every chat and add turns, first message, system instruction,
+                           // model, size and attachments to the JSON/CSV/Markdown entries
+      batchFilter: {       // subset for batch and deep mode — empty values match everything
+        types: [],         // e.g. ['Chat prompt']
+        nameIncludes: '',  // case-insensitive substring of the name
+        updatedAfter: '',  // e.g. '2025-01-01'; rows with unparsable dates are kept
+      },
+      includeThinking: true,
+      navigateTimeoutMs: 20000,
+      compareWithPrevious: false, // pick a previous JSON export (or use the last saved run) and report changes
+      keepHistory: true,   // keep snapshots of recent runs in IndexedDB for compareWithPrevious
+      historySize: 10,
+      groupBy: 'none',     // Markdown sections + table of contents: 'type', 'month' (Updated), or 'tag'
+      tagRules: [          // e.g. { tag: 'work', match: /client|invoice/i, in: 'name' } — in: 'name', 'description' or 'both'
+      ],
+      obsidianVault: false, // also download a ZIP vault: one note per prompt with front matter + an index note
     };
 
     const sleep = ms => new Promise(r => setTimeout(r, ms));
+    const sanitizeFilename = str =>
+      str.replace(/[^a-z0-9_\-\s]/gi, '').replace(/\s+/g, '_').substring(0, 80);
 
     const downloadFile = (content, filename, mimeType = 'text/plain') => {
       const blob = new Blob([content], { type: mimeType });
@@ -55,6 +85,1372 @@
       console.log('[LibExporter] ' + msg + (detail ? ' — ' + detail : ''));
     };
 
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Selector registry ───────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of "Google AI Studio - [0] Selector Registry.js" — change
+    // it there first, then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN ai-studio-selectors ───────────────────────────────────────────
+    const AiStudioSelectors = (() => {
+      // page: where the concept is expected — the report only flags those.
+      // optional: legitimately absent (no thinking, short list), never flagged.
+      const CONCEPTS = {
+        // Prompts (chat) page
+        turn: { page: 'prompts', candidates: ['ms-chat-turn', '[data-turn-id]', '.chat-turn-container'] },
+        turnRole: { page: 'prompts', candidates: ['[data-turn-role]', '[data-role]', '.chat-turn-container.user, .chat-turn-container.model'] },
+        textChunk: { page: 'prompts', candidates: ['ms-prompt-chunk.text-chunk', '[class*="text-chunk"]'] },
+        markdownRoot: { page: 'prompts', candidates: ['ms-cmark-node.cmark-node', 'ms-cmark-node', '.markdown'] },
+        thoughtChunk: { optional: true, page: 'prompts', candidates: ['ms-thought-chunk', '[class*="thought-chunk"]'] },
+        thoughtPanel: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel.thought-panel', 'ms-thought-chunk mat-expansion-panel', 'ms-thought-chunk details'] },
+        thoughtHeader: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel-header', 'summary', '[role="button"][aria-expanded]'] },
+        chatScroller: { optional: true, page: 'prompts', candidates: ['ms-autoscroll-container', '.chat-view-container', '[class*="chat-container"]'] },
+        title: { optional: true, page: 'prompts', candidates: ['span.title-input', '[aria-label="prompt title"]', 'h1.mode-title, h1'] },
+        systemInstructions: { optional: true, page: 'prompts', candidates: ['ms-system-instructions-panel textarea', 'textarea[aria-label*="system" i]'] },
+        // Composer controls (new_chat page, used by the importer)
+        promptInput: { page: 'compose', candidates: ['ms-prompt-input-wrapper textarea', 'ms-chunk-input textarea', 'textarea[aria-label*="prompt" i]', 'footer textarea'] },
+        addTurnButton: { page: 'compose', candidates: ['button[aria-label*="add to chat" i]', 'button[aria-label*="without running" i]', 'button[aria-label="Add"]'] },
+        turnRoleToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="switch role" i]', 'button[aria-label*="change role" i]', 'button[aria-label*="role" i]'] },
+        systemInstructionsToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="system instructions" i]', 'ms-system-instructions button', '[data-test-system-instructions-card]'] },
+        // Library page
+        libraryTableWrapper: { optional: true, page: 'library', candidates: ['div.lib-table-wrapper', 'ms-library-table', 'cdk-virtual-scroll-viewport'] },
+        libraryRow: { page: 'library', candidates: ['table.library-table tr.mat-mdc-row, table.library-table tr.cdk-row', 'tr.mat-mdc-row, tr.cdk-row', 'table tbody tr'] },
+        libraryNameCell: { page: 'library', candidates: ['td.cdk-column-name, td.mat-column-name', 'td:nth-child(1)'] },
+        libraryDescriptionCell: { optional: true, page: 'library', candidates: ['td.cdk-column-description, td.mat-column-description', 'td:nth-child(2)'] },
+        libraryTypeCell: { page: 'library', candidates: ['td.cdk-column-type, td.mat-column-type', 'td:nth-child(3)'] },
+        libraryUpdatedCell: { page: 'library', candidates: ['td.cdk-column-updated, td.mat-column-updated', 'td:nth-child(4)'] },
+        // Both pages (sidebar)
+        promptLink: { optional: true, page: 'any', candidates: ['a.prompt-link[href*="/prompts/"]', 'a[href*="/prompts/"]'] },
+      };
+
+      const ELEMENT_NODE = 1;
+      const TEXT_NODE = 3;
+
+      const safeQueryAll = (root, sel) => {
+        try { return Array.from(root.querySelectorAll(sel)); } catch (e) { return []; }
+      };
+
+      // ── Tree dump (from the DOM Inspector snippets) ──
+      const describeEl = (el, maxText = 100) => {
+        const tag = el.tagName.toLowerCase();
+        const cls = el.className && typeof el.className === 'string' && el.className.trim()
+          ? '.' + el.className.trim().split(/\s+/).slice(0, 5).join('.') : '';
+        const id = el.id ? '#' + el.id : '';
+        const role = el.getAttribute('role') ? ' [role=' + el.getAttribute('role') + ']' : '';
+        const href = el.getAttribute('href') ? ' [href="' + el.getAttribute('href').substring(0, 80) + '"]' : '';
+        const ariaLabel = el.getAttribute('aria-label')
+          ? ' [aria-label="' + el.getAttribute('aria-label').substring(0, 60) + '"]' : '';
+        const dataAttrs = Array.from(el.attributes)
+          .filter(a => a.name.startsWith('data-'))
+          .map(a => ' [' + a.name + '="' + a.value.substring(0, 60) + '"]')
+          .join('');
+        const text = (el.textContent || '').trim().substring(0, maxText).replace(/\n/g, '\\n');
+        const textStr = text ? ' text="' + text + (text.length >= maxText ? '…' : '') + '"' : '';
+        return '<' + tag + id + cls + role + href + ariaLabel + dataAttrs + '>' + textStr;
+      };
+
+      const dumpTree = (el, log, indent = 0, maxDepth = 8) => {
+        const pad = '  '.repeat(indent);
+        if (indent > maxDepth) { log(pad + '... (depth limit)'); return; }
+
+        if (el.nodeType === TEXT_NODE) {
+          const t = el.textContent.trim();
+          if (t) log(pad + '#text "' + t.substring(0, 100).replace(/\n/g, '\\n') + '"');
+          return;
+        }
+        if (el.nodeType !== ELEMENT_NODE) return;
+
+        const childCount = el.children.length;
+        log(pad + describeEl(el, 80) + (childCount > 0 ? ' [' + childCount + ' ch]' : ''));
+        Array.from(el.childNodes).forEach(child => dumpTree(child, log, indent + 1, maxDepth));
+      };
+
+      const customElementCounts = (doc) => {
+        const counts = {};
+        doc.querySelectorAll('*').forEach(el => {
+          const tag = el.tagName.toLowerCase();
+          if (tag.includes('-')) counts[tag] = (counts[tag] || 0) + 1;
+        });
+        return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+      };
+
+      const findMainArea = (doc) => {
+        for (const sel of ['main', '[role="main"]', '.main-content', 'ms-library', 'ms-chunk-editor', 'ms-prompt-switcher']) {
+          const el = doc.querySelector(sel);
+          if (el) return { el, via: '"' + sel + '"' };
+        }
+        const outlet = doc.querySelector('router-outlet');
+        if (outlet && outlet.nextElementSibling) return { el: outlet.nextElementSibling, via: 'router-outlet sibling' };
+        return { el: doc.body, via: 'document.body' };
+      };
+
+      const create = ({ concepts = {}, doc = typeof document !== 'undefined' ? document : null } = {}) => {
+        const registry = {};
+        Object.keys(CONCEPTS).forEach(name => {
+          registry[name] = { ...CONCEPTS[name], candidates: [...(concepts[name] || []), ...CONCEPTS[name].candidates] };
+        });
+        Object.keys(concepts).forEach(name => {
+          if (!registry[name]) registry[name] = { page: 'any', candidates: [...concepts[name]] };
+        });
+
+        const misses = {};    // concept → times every candidate came back empty
+
+        const candidatesOf = (name) => {
+          if (!registry[name]) throw new Error('Unknown selector concept: ' + name);
+          return registry[name].candidates;
+        };
+
+        const queryAll = (name, root = doc) => {
+          for (const sel of candidatesOf(name)) {
+            const found = safeQueryAll(root, sel);
+            if (found.length) return found;
+          }
+          misses[name] = (misses[name] || 0) + 1;
+          return [];
+        };
+
+        const query = (name, root = doc) => queryAll(name, root)[0] || null;
+
+        // Every candidate as one selector list, for closest() / matches()
+        const selector = name => candidatesOf(name).join(', ');
+
+        const status = () => Object.keys(registry).map(name => {
+          const counts = registry[name].candidates.map(sel => ({ selector: sel, matches: safeQueryAll(doc, sel).length }));
+          const hit = counts.find(c => c.matches > 0);
+          return {
+            concept: name, page: registry[name].page, optional: !!registry[name].optional,
+            resolved: hit ? hit.selector : null, counts, misses: misses[name] || 0,
+          };
+        });
+
+        // page: 'prompts' | 'library' | 'compose', or a list of them — concepts
+        // for other pages are listed but not flagged as drifted
+        const report = ({ reason = '', page = '', treeDepth = 6 } = {}) => {
+          const lines = [];
+          const log = (...args) => lines.push(args.join(' '));
+          const rows = status();
+          const pages = [].concat(page).filter(Boolean);
+          const expected = r => !pages.length || pages.includes(r.page) || r.page === 'any';
+          const drifted = rows.filter(r => !r.resolved && !r.optional && expected(r));
+
+          log('═══════════════════════════════════════════════════════════════');
+          log('  AI STUDIO SELECTOR DRIFT REPORT');
+          log('  URL: ' + doc.location.href);
+          log('  Time: ' + new Date().toISOString());
+          if (reason) log('  Reason: ' + reason);
+          log('═══════════════════════════════════════════════════════════════');
+          log('');
+
+          log('── SECTION 1: SELECTOR REGISTRY ──');
+          rows.forEach(r => {
+            const flagged = !r.resolved && !r.optional && expected(r);
+            const mark = r.resolved ? '✔' : flagged ? '✘' : '·';
+            log('  ' + mark + ' ' + r.concept + ' (' + r.page + ')' +
+              (r.resolved ? ' → "' + r.resolved + '"'
+                : flagged ? ' — no fallback matched'
+                : expected(r) ? ' — optional, not present' : ' — not on this page') +
+              (r.misses ? ' [' + r.misses + ' empty lookups]' : ''));
+            if (flagged || (r.resolved && r.resolved !== r.counts[0].selector)) {
+              r.counts.forEach(c => log('      "' + c.selector + '" → ' + c.matches));
+            }
+          });
+          log('');
+          log('  Drifted: ' + (drifted.length ? drifted.map(r => r.concept).join(', ') : 'none'));
+          log('');
+
+          log('── SECTION 2: ALL CUSTOM ELEMENTS ON PAGE ──');
+          Object.entries(customElementCounts(doc)).forEach(([tag, count]) => log('  ' + tag + ' × ' + count));
+          log('');
+
+          // A resolved container concept is the best place to look for its
+          // drifted children; otherwise dump the main content area
+          const anchor = ['turn', 'libraryRow'].map(n => rows.find(r => r.concept === n))
+            .find(r => r && r.resolved && drifted.length);
+          if (anchor) {
+            log('── SECTION 3: FIRST "' + anchor.concept + '" ELEMENT TREE (depth=' + treeDepth + ') ──');
+            dumpTree(doc.querySelector(anchor.resolved), log, 0, treeDepth);
+            log('');
+          }
+
+          const main = findMainArea(doc);
+          log('── SECTION ' + (anchor ? 4 : 3) + ': MAIN CONTENT AREA TREE (depth=' + treeDepth + ') ──');
+          log('  Found main via ' + main.via);
+          log('');
+          dumpTree(main.el, log, 0, treeDepth);
+          log('');
+          log('═══════════════════════════════════════════════════════════════');
+          return lines.join('\n');
+        };
+
+        return { query, queryAll, selector, status, report };
+      };
+
+      return { create, concepts: CONCEPTS, safeQueryAll, describeEl, dumpTree, customElementCounts };
+    })();
+    // ── END ai-studio-selectors ─────────────────────────────────────────────
+
+    const selectors = AiStudioSelectors.create();
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── HTML-to-Markdown converter ──────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of "Generic - HTML to Markdown.js" — change it there first,
+    // then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN html-to-markdown ──────────────────────────────────────────────
+    const HtmlToMarkdown = (() => {
+      const TEXT_NODE = 3;
+      const ELEMENT_NODE = 1;
+
+      const escapeHtml = s => String(s)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+      // KaTeX keeps the TeX source in a MathML annotation; bare MathML may
+      // carry it in alttext
+      const texSource = (node) => {
+        const ann = node.querySelector('annotation[encoding="application/x-tex"]');
+        if (ann) return ann.textContent.trim();
+        if (node.tagName.toLowerCase() === 'math') {
+          return (node.getAttribute('alttext') || node.textContent || '').trim();
+        }
+        return null;
+      };
+      const isMath = (node) => node.tagName.toLowerCase() === 'math' ||
+        node.classList.contains('katex') || node.classList.contains('katex-display');
+      const isDisplayMath = (node) => node.classList.contains('katex-display') ||
+        !!node.closest('.katex-display') ||
+        (node.tagName.toLowerCase() === 'math' && node.getAttribute('display') === 'block');
+
+      // "#user-content-fn-2" / "fnref-2" / "fn:2" → "2"
+      const footnoteLabel = (ref) =>
+        (ref || '').replace(/^#/, '').replace(/^user-content-/, '').replace(/^fn(ref)?[-:]?/, '') || '?';
+      const isFootnoteRef = (sup) => {
+        const a = sup.querySelector('a[href^="#"]');
+        return !!a && (sup.classList.contains('footnote-ref') || a.hasAttribute('data-footnote-ref') ||
+          /^#(user-content-)?fn/.test(a.getAttribute('href')));
+      };
+
+      // GFM cells hold one line of inline content: no spans, no block children
+      const needsHtmlTable = (table) =>
+        Array.from(table.querySelectorAll('td, th')).some(cell =>
+          parseInt(cell.getAttribute('colspan') || '1') > 1 ||
+          parseInt(cell.getAttribute('rowspan') || '1') > 1 ||
+          !!cell.querySelector('ul, ol, pre, table, blockquote, h1, h2, h3, h4, h5, h6, hr, .katex-display') ||
+          cell.querySelectorAll('p').length > 1);
+
+      // Continuation lines of a list item, indented under its marker
+      const indentRest = (text, pad) => {
+        const lines = text.replace(/\n{3,}/g, '\n\n').split('\n');
+        return lines[0] + (lines.length > 1 ? '\n' + lines.slice(1).map(l => l ? pad + l : l).join('\n') : '');
+      };
+
+      const inline = (wrap) => (node, ctx) => {
+        const t = ctx.children(node).trim();
+        return t ? wrap[0] + t + wrap[1] : '';
+      };
+      const passThrough = (node, ctx) => ctx.children(node);
+
+      // ── Base rules (plain GFM) ──
+      const baseRules = {
+        p: (node, ctx) => {
+          const text = ctx.children(node).trim();
+          return text ? '\n\n' + text + '\n\n' : '';
+        },
+        br: () => '\n',
+        hr: () => '\n\n---\n\n',
+
+        blockquote: (node, ctx) =>
+          '\n\n' + ctx.children(node).trim().replace(/\n{3,}/g, '\n\n')
+            .split('\n').map(l => l ? '> ' + l : '>').join('\n') + '\n\n',
+
+        pre: (node) => {
+          const codeEl = node.querySelector('code');
+          const codeText = codeEl ? codeEl.textContent : node.textContent;
+          const langClass = String((codeEl || node).className).match(/language-(\w+)/);
+          const lang = langClass ? langClass[1] :
+            (node.getAttribute('data-lang') || node.getAttribute('language') || '');
+          return '\n\n```' + lang + '\n' + codeText.trimEnd() + '\n```\n\n';
+        },
+
+        ul: (node, ctx) => {
+          const result = ctx.listItems(node).map(li =>
+            '- ' + indentRest(ctx.convert(li).trim().replace(/^\[([ x])\]\s+/, '[$1] '), '  '));
+          return '\n\n' + result.join('\n') + '\n\n';
+        },
+        ol: (node, ctx) => {
+          const start = parseInt(node.getAttribute('start') || '1');
+          const result = ctx.listItems(node).map((li, i) => {
+            const num = (start + i) + '. ';
+            return num + indentRest(ctx.convert(li).trim().replace(/^\[([ x])\]\s+/, '[$1] '), ' '.repeat(num.length));
+          });
+          return '\n\n' + result.join('\n') + '\n\n';
+        },
+        li: passThrough,
+
+        // Task list checkboxes → GFM [ ] / [x]
+        input: (node) => {
+          if (node.getAttribute('type') !== 'checkbox') return '';
+          return (node.checked || node.hasAttribute('checked')) ? '[x] ' : '[ ] ';
+        },
+
+        table: (node, ctx) => {
+          if (needsHtmlTable(node)) return '\n\n' + ctx.toHtml(node) + '\n\n';
+
+          const rows = [];
+          node.querySelectorAll('tr').forEach(tr => {
+            const cells = tr.querySelectorAll('td, th');
+            rows.push(Array.from(cells).map(cell =>
+              ctx.convert(cell).trim().replace(/\|/g, '\\|').replace(/\n+/g, ' ')
+            ));
+          });
+          if (rows.length === 0) return ctx.children(node);
+          const colCount = Math.max(...rows.map(r => r.length));
+          const headCells = node.querySelector('tr') ? node.querySelector('tr').querySelectorAll('td, th') : [];
+          const aligns = Array.from(headCells).map(c => (c.getAttribute('align') || c.style.textAlign || '').toLowerCase());
+          const alignMarker = a => a === 'center' ? ':---:' : a === 'right' ? '---:' : a === 'left' ? ':---' : '---';
+          const pad = row => { while (row.length < colCount) row.push(''); return row; };
+          const mdRows = rows.map(r => '| ' + pad(r).join(' | ') + ' |');
+          mdRows.splice(1, 0, '| ' + Array.from({ length: colCount }, (_, i) => alignMarker(aligns[i])).join(' | ') + ' |');
+          return '\n\n' + mdRows.join('\n') + '\n\n';
+        },
+
+        strong: inline(['**', '**']),
+        b: inline(['**', '**']),
+        em: inline(['*', '*']),
+        i: inline(['*', '*']),
+        s: inline(['~~', '~~']),
+        del: inline(['~~', '~~']),
+        strike: inline(['~~', '~~']),
+        sub: inline(['<sub>', '</sub>']),
+
+        // Footnote refs (cmark-gfm markup) or plain superscript
+        sup: (node, ctx) => {
+          if (isFootnoteRef(node)) return '[^' + footnoteLabel(node.querySelector('a').getAttribute('href')) + ']';
+          const t = ctx.children(node).trim();
+          return t ? '<sup>' + t + '</sup>' : '';
+        },
+
+        code: (node) => {
+          if (node.parentElement && node.parentElement.tagName.toLowerCase() === 'pre') return node.textContent;
+          return '`' + node.textContent + '`';
+        },
+
+        a: (node, ctx) => {
+          if (node.classList.contains('footnote-backref') || node.hasAttribute('data-footnote-backref')) return '';
+          const href = node.getAttribute('href') || '';
+          const text = ctx.children(node).trim();
+          return href && text ? '[' + text + '](' + href + ')' : text;
+        },
+
+        img: (node) => {
+          const alt = node.getAttribute('alt') || 'image';
+          const src = node.getAttribute('src') || '';
+          return src ? '![' + alt + '](' + src + ')' : '';
+        },
+
+        // Collapsible blocks — HTML wrapper and summary (Markdown is not
+        // rendered inside <summary>), Markdown body
+        details: (node, ctx) => {
+          const summary = node.querySelector(':scope > summary');
+          const summaryHtml = summary ? ctx.toHtml(summary).trim() : '<summary>Details</summary>';
+          const body = Array.from(node.childNodes).filter(n => n !== summary).map(ctx.convert).join('').trim();
+          return '\n\n<details>\n' + summaryHtml + '\n\n' + body + '\n\n</details>\n\n';
+        },
+      };
+      ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(tag => {
+        baseRules[tag] = (node, ctx) =>
+          '\n\n' + '#'.repeat(parseInt(tag.charAt(1))) + ' ' + ctx.children(node).trim() + '\n\n';
+      });
+
+      const baseMatchers = [
+        {
+          test: node => isMath(node) && !!texSource(node),
+          convert: (node) => {
+            const tex = texSource(node);
+            return isDisplayMath(node) ? '\n\n$$\n' + tex + '\n$$\n\n' : '$' + tex + '$';
+          },
+        },
+        {
+          test: node => node.classList.contains('footnotes') || node.hasAttribute('data-footnotes'),
+          convert: (node, ctx) => {
+            const defs = Array.from(node.querySelectorAll('li[id]')).map(li =>
+              '[^' + footnoteLabel(li.id) + ']: ' +
+              ctx.convert(li).trim().split('\n').map((l, i) => i && l ? '    ' + l : l).join('\n'));
+            return '\n\n' + defs.join('\n') + '\n\n';
+          },
+        },
+      ];
+
+      // ── Site presets ──
+      const presets = {
+        aiStudio: {
+          // Angular wrappers around every cmark node / chunk
+          transparent: ['ms-cmark-node', 'ms-text-chunk', 'ms-prompt-chunk'],
+          strip:
+            'ms-chat-turn-options, button:not([class*="citation"]), mat-icon, ' +
+            '[aria-label="Copy"], [aria-label="Edit"], ' +
+            '.action-buttons, .feedback-buttons, [class*="thumb"], ' +
+            '[class*="copy-button"], .overflow-menu, .edit-button, ' +
+            '.turn-role-label, .role-label',
+          matchers: [
+            // Inline code is <span class="inline-code">, not <code>
+            { test: node => node.tagName.toLowerCase() === 'span' && node.classList.contains('inline-code'),
+              convert: node => '`' + node.textContent + '`' },
+            // Grounding citation chips → [n](source)
+            { test: node => node.matches(
+                'ms-citation, ms-citation-chip, .citation-chip, [class*="citation-chip"], [data-citation-index]'),
+              convert: (node) => {
+                const label = (node.getAttribute('data-citation-index') || node.textContent || '').trim();
+                if (node.parentElement && node.parentElement.closest('a[href]')) return '[' + label + ']';
+                const link = node.querySelector('a[href]');
+                const url = link ? link.getAttribute('href') : node.getAttribute('data-url');
+                return url ? '[[' + label + ']](' + url + ')' : '[' + label + ']';
+              } },
+          ],
+          rules: {
+            // Thinking spinner → local reference
+            img: (node, ctx, next) => {
+              const src = node.getAttribute('src') || '';
+              if (src.includes('watermark/watermark.png') || node.classList.contains('thinking-progress-icon')) {
+                return '![Thinking](watermark.png)';
+              }
+              return next();
+            },
+          },
+        },
+      };
+
+      // Clean HTML for tables GFM cannot represent: custom elements and layout
+      // wrappers are unwrapped, only structural attributes are kept
+      const HTML_ATTRS = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'align', 'start', 'type', 'checked'];
+      const VOID_TAGS = ['br', 'hr', 'img', 'input'];
+
+      const create = (options = {}) => {
+        const layers = [...(options.presets || []), options];
+        const rules = Object.assign({}, baseRules);
+        const matchers = baseMatchers.slice();
+        const transparent = new Set();
+        const strip = [];
+
+        layers.forEach(layer => {
+          (layer.transparent || []).forEach(t => transparent.add(t));
+          if (layer.strip) strip.push(layer.strip);
+          matchers.unshift(...(layer.matchers || []));
+          Object.entries(layer.rules || {}).forEach(([tag, rule]) => {
+            const prev = rules[tag] || passThrough;
+            rules[tag] = (node, ctx) => rule(node, ctx, () => prev(node, ctx));
+          });
+        });
+
+        // Source line breaks are just whitespace in rendered HTML
+        const convert = (node) => {
+          if (node.nodeType === TEXT_NODE) return (node.textContent || '').replace(/\s*\n\s*/g, ' ');
+          if (node.nodeType !== ELEMENT_NODE) return '';
+          const tag = node.tagName.toLowerCase();
+          if (transparent.has(tag)) return ctx.children(node);
+          const matcher = matchers.find(m => m.test(node));
+          if (matcher) return matcher.convert(node, ctx);
+          return (rules[tag] || passThrough)(node, ctx);
+        };
+
+        const toHtml = (node) => {
+          if (node.nodeType === TEXT_NODE) return escapeHtml(node.textContent || '');
+          if (node.nodeType !== ELEMENT_NODE) return '';
+          const tag = node.tagName.toLowerCase();
+          const inner = () => Array.from(node.childNodes).map(toHtml).join('');
+
+          if (isMath(node) && texSource(node)) {
+            const tex = texSource(node);
+            return escapeHtml(isDisplayMath(node) ? '$$' + tex + '$$' : '$' + tex + '$');
+          }
+          if (tag === 'img') {
+            // Route through the rules so images are handled like everywhere else
+            const m = convert(node).match(/^!\[([^\]]*)\]\((.*)\)$/);
+            return m ? '<img src="' + escapeHtml(m[2]) + '" alt="' + escapeHtml(m[1]) + '">' : '';
+          }
+          if (tag !== 'pre' && matchers.some(m => m.test(node))) {
+            // Inline-code style spans etc. — keep their Markdown meaning as HTML
+            const md = convert(node);
+            const code = md.match(/^`([^`]*)`$/);
+            return code ? '<code>' + escapeHtml(code[1]) + '</code>' : escapeHtml(md);
+          }
+          if (tag.includes('-') || tag === 'span' || tag === 'div') return inner();
+
+          const attrs = HTML_ATTRS.filter(a => node.hasAttribute(a))
+            .map(a => ' ' + a + '="' + escapeHtml(node.getAttribute(a)) + '"').join('');
+          if (VOID_TAGS.includes(tag)) return '<' + tag + attrs + '>';
+          return '<' + tag + attrs + '>' + inner() + '</' + tag + '>';
+        };
+
+        // <li> children, looking through transparent wrappers
+        const listItems = (list) => {
+          const items = [];
+          const walk = el => Array.from(el.children).forEach(c => {
+            const t = c.tagName.toLowerCase();
+            if (t === 'li') items.push(c);
+            else if (transparent.has(t)) walk(c);
+          });
+          walk(list);
+          return items;
+        };
+
+        const ctx = {
+          convert,
+          children: node => Array.from(node.childNodes).map(convert).join(''),
+          toHtml,
+          listItems,
+        };
+
+        return (rootEl) => {
+          const root = rootEl.cloneNode(true);
+          if (strip.length) root.querySelectorAll(strip.join(', ')).forEach(n => n.remove());
+          // Trailing whitespace left between blocks is dropped, code fences excepted
+          // (no rule emits a two-space hard break — <br> is a plain newline)
+          return convert(root)
+            .replace(/(^```[^\n]*\n[\s\S]*?\n```$)|[ \t]+$/gm, (m, fence) => fence || '')
+            .replace(/\n{3,}/g, '\n\n').trim();
+        };
+      };
+
+      return { create, baseRules, presets, escapeHtml };
+    })();
+    // ── END html-to-markdown ────────────────────────────────────────────────
+
+    const htmlToMarkdown = HtmlToMarkdown.create({ presets: [HtmlToMarkdown.presets.aiStudio] });
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── ZIP writer ──────────────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of the zip-writer block in "Google AI Studio - [2] Chat
+    // Exporter (separate attachments).js" — change it there first, then
+    // re-paste between the BEGIN/END markers.
+
+    // ── BEGIN zip-writer ────────────────────────────────────────────────────
+    // Minimal in-snippet writer: STORE entries (images are already compressed),
+    // UTF-8 names, no ZIP64. Builds a Blob — nothing is injected into the page.
+
+    const CRC_TABLE = (() => {
+      const t = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+      }
+      return t;
+    })();
+
+    const crc32 = (bytes) => {
+      let c = 0xFFFFFFFF;
+      for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+      return (c ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    const createZip = () => {
+      const files = [];
+      const enc = new TextEncoder();
+
+      return {
+        // data: string | Blob | Uint8Array
+        add: async (path, data) => {
+          const bytes = typeof data === 'string' ? enc.encode(data)
+            : data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+          files.push({ path, bytes });
+        },
+        size: () => files.length,
+        toBlob: () => {
+          const now = new Date();
+          const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+          const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+          const local = [], central = [];
+          let offset = 0;
+
+          files.forEach(f => {
+            const name = enc.encode(f.path);
+            const crc = crc32(f.bytes);
+
+            const lh = new DataView(new ArrayBuffer(30));
+            lh.setUint32(0, 0x04034b50, true);   // local file header
+            lh.setUint16(4, 20, true);           // version needed
+            lh.setUint16(6, 0x0800, true);       // UTF-8 names
+            lh.setUint16(8, 0, true);            // STORE
+            lh.setUint16(10, dosTime, true);
+            lh.setUint16(12, dosDate, true);
+            lh.setUint32(14, crc, true);
+            lh.setUint32(18, f.bytes.length, true);
+            lh.setUint32(22, f.bytes.length, true);
+            lh.setUint16(26, name.length, true);
+            local.push(lh.buffer, name, f.bytes);
+
+            const ch = new DataView(new ArrayBuffer(46));
+            ch.setUint32(0, 0x02014b50, true);   // central directory header
+            ch.setUint16(4, 20, true);
+            ch.setUint16(6, 20, true);
+            ch.setUint16(8, 0x0800, true);
+            ch.setUint16(12, dosTime, true);
+            ch.setUint16(14, dosDate, true);
+            ch.setUint32(16, crc, true);
+            ch.setUint32(20, f.bytes.length, true);
+            ch.setUint32(24, f.bytes.length, true);
+            ch.setUint16(28, name.length, true);
+            ch.setUint32(42, offset, true);
+            central.push(ch.buffer, name);
+
+            offset += 30 + name.length + f.bytes.length;
+          });
+
+          const cdSize = central.reduce((n, c) => n + c.byteLength, 0);
+          const end = new DataView(new ArrayBuffer(22));
+          end.setUint32(0, 0x06054b50, true);    // end of central directory
+          end.setUint16(8, files.length, true);
+          end.setUint16(10, files.length, true);
+          end.setUint32(12, cdSize, true);
+          end.setUint32(16, offset, true);
+
+          return new Blob([...local, ...central, end.buffer], { type: 'application/zip' });
+        },
+      };
+    };
+    // ── END zip-writer ──────────────────────────────────────────────────────
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Updated-date normalization ──────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of the ai-studio-updated-dates block in "Google AI Studio
+    // - [0] Selector Registry.js" (the DOM Inspectors read the Updated column
+    // with it too) — change it there first, then re-paste between the
+    // BEGIN/END markers.
+
+    // ── BEGIN ai-studio-updated-dates ───────────────────────────────────────
+    // The Library's Updated column shows relative text ("2 hours ago",
+    // "Yesterday", "Mar 4"). An exact time from a tooltip/title attribute wins;
+    // otherwise the text is resolved against the export time and truncated to
+    // its unit ("3 days ago" → that day's midnight) so reruns give the same
+    // timestamp. That unit is kept as updatedGranularity: the same chat reads
+    // "5 hours ago" today and "7 days ago" next week, so timestamps from
+    // different runs are only compared at the coarser of the two.
+    const AiStudioUpdatedDates = (() => {
+      const UNIT_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+      const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+      const GRANULARITIES = ['second', 'minute', 'hour', 'day', 'month', 'year'];
+      // Whole month/day words only — Date.parse reads "Marketing 4" as March 4
+      const MONTH = '(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?)';
+      const DAY = '(sun|mon|tues?|wed(nes)?|thu(rs?)?|fri|sat(ur)?)(day)?';
+      const MONTH_NAMES = new RegExp('\\b' + MONTH + '\\b\\.?', 'gi');
+      const DAY_NAMES = new RegExp('\\b' + DAY + '\\b\\.?', 'gi');
+      const DAY_ONLY = new RegExp('^' + DAY + '\\.?$');
+      const MONTH_DAY = new RegExp('^(' + MONTH + '\\.? \\d{1,2}|\\d{1,2} ' + MONTH + '\\.?)$');
+
+      const startOf = (date, unit) => {
+        const d = new Date(date);
+        d.setMilliseconds(0);
+        if (unit === 'second') return d;
+        d.setSeconds(0);
+        if (unit === 'minute') return d;
+        d.setMinutes(0);
+        if (unit === 'hour') return d;
+        d.setHours(0);
+        if (unit === 'month') d.setDate(1);
+        if (unit === 'year') d.setMonth(0, 1);
+        return d;
+      };
+
+      // ISO 8601, or a month name with a day and a four-digit year and nothing
+      // else wordy → { date, granularity } | null. Date.parse alone reads almost
+      // any text with a number in it as a date ("More options for prompt 2" →
+      // 2001-02-01), and nothing later than the export time is accepted.
+      const parseExplicitDate = (raw, now) => {
+        const text = (raw || '').trim().replace(/\s+at\s+/i, ' ');
+        const iso = /^\d{4}-\d{2}-\d{2}([t ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})?)?$/i.test(text);
+        const named = /\b\d{4}\b/.test(text) && /\b\d{1,2}\b/.test(text) && text.match(MONTH_NAMES) &&
+          !/[a-z]/i.test(text.replace(MONTH_NAMES, '').replace(DAY_NAMES, '').replace(/\b(am|pm|utc|gmt|z)\b/gi, ''));
+        if (!iso && !named) return null;
+        const t = Date.parse(text);
+        if (isNaN(t) || t > now.getTime() + UNIT_MS.day) return null;
+        const granularity = /\d:\d{2}:\d{2}/.test(text) ? 'second' : /\d:\d{2}/.test(text) ? 'minute' : 'day';
+        return { date: new Date(t), granularity };
+      };
+
+      // Exact timestamps the cell may carry besides its visible text
+      const readExactUpdated = (cell, now) => {
+        if (!cell) return null;
+        const candidates = [];
+        [cell, ...cell.querySelectorAll('[title], [aria-label], [data-tooltip], [mattooltip], [ng-reflect-message], time[datetime]')]
+          .forEach(el => ['datetime', 'title', 'aria-label', 'data-tooltip', 'mattooltip', 'ng-reflect-message']
+            .forEach(a => { const v = el.getAttribute(a); if (v) candidates.push(v); }));
+        for (const v of candidates) {
+          const exact = parseExplicitDate(v.replace(/^(last )?(updated|modified|edited)[:\s]*/i, ''), now);
+          if (exact) return exact;
+        }
+        return null;
+      };
+
+      // Relative or partial date text → { date, granularity } | null
+      const parseUpdatedText = (raw, now) => {
+        const text = (raw || '').trim().toLowerCase();
+        if (!text) return null;
+        const at = (date, granularity) => ({ date, granularity });
+        if (/^(just now|now|moments? ago|a few seconds ago)$/.test(text)) return at(startOf(now, 'minute'), 'minute');
+        if (text === 'today') return at(startOf(now, 'day'), 'day');
+        if (text === 'yesterday') return at(startOf(new Date(now.getTime() - UNIT_MS.day), 'day'), 'day');
+
+        const rel = text.match(/^(an?|one|\d+)\s+(second|minute|min|hour|hr|day|week|month|year)s?\s+ago$/);
+        if (rel) {
+          const n = /^\d+$/.test(rel[1]) ? parseInt(rel[1]) : 1;
+          const unit = { min: 'minute', hr: 'hour' }[rel[2]] || rel[2];
+          const d = new Date(now);
+          if (unit === 'month') d.setMonth(d.getMonth() - n);
+          else if (unit === 'year') d.setFullYear(d.getFullYear() - n);
+          else d.setTime(d.getTime() - n * UNIT_MS[unit]);
+          const granularity = unit === 'week' ? 'day' : unit;
+          return at(startOf(d, granularity), granularity);
+        }
+
+        // "10:32 AM" → today (or yesterday if that is still in the future)
+        const time = text.match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/);
+        if (time) {
+          let h = parseInt(time[1]) % (time[3] ? 12 : 24);
+          if (time[3] === 'pm') h += 12;
+          const d = startOf(now, 'day');
+          d.setHours(h, parseInt(time[2]));
+          if (d > now) d.setDate(d.getDate() - 1);
+          return at(d, 'minute');
+        }
+
+        // "Mon", "Tuesday" → the most recent such day before today
+        if (DAY_ONLY.test(text)) {
+          const wd = WEEKDAYS.indexOf(text.slice(0, 3));
+          const d = startOf(now, 'day');
+          d.setDate(d.getDate() - (((d.getDay() - wd) + 7) % 7 || 7));
+          return at(d, 'day');
+        }
+
+        // "Mar 4" has no year — the current one, unless that lands in the future
+        if (MONTH_DAY.test(text)) {
+          const t = Date.parse(text.replace('.', '') + ' ' + now.getFullYear());
+          if (isNaN(t)) return null;
+          const d = new Date(t);
+          if (d > now) d.setFullYear(d.getFullYear() - 1);
+          return at(d, 'day');
+        }
+
+        return parseExplicitDate(raw, now);
+      };
+
+      // → { updated: ISO string or the raw text when unparsable, updatedRaw,
+      //     updatedGranularity: the unit updated is precise to, when parsed }
+      const normalizeUpdated = (raw, cell, now) => {
+        const parsed = readExactUpdated(cell, now) || parseUpdatedText(raw, now);
+        return parsed
+          ? { updated: parsed.date.toISOString(), updatedRaw: raw, updatedGranularity: parsed.granularity }
+          : { updated: raw, updatedRaw: raw };
+      };
+
+      // Same Updated value, compared at the coarser granularity of the two.
+      // Values without one (older snapshots, stored visits) count as day-precise.
+      const sameUpdated = (a, b) => {
+        if ((a.updated || '') === (b.updated || '')) return true;
+        const ta = Date.parse(a.updated);
+        const tb = Date.parse(b.updated);
+        if (isNaN(ta) || isNaN(tb)) return false;
+        const rank = g => GRANULARITIES.includes(g) ? GRANULARITIES.indexOf(g) : GRANULARITIES.indexOf('day');
+        const unit = GRANULARITIES[Math.max(rank(a.updatedGranularity), rank(b.updatedGranularity))];
+        return startOf(ta, unit).getTime() === startOf(tb, unit).getTime();
+      };
+
+      return { startOf, parseExplicitDate, readExactUpdated, parseUpdatedText, normalizeUpdated, sameUpdated };
+    })();
+    // ── END ai-studio-updated-dates ─────────────────────────────────────────
+
+    const { normalizeUpdated, sameUpdated } = AiStudioUpdatedDates;
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Batch export ────────────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Visits each /prompts/{id} through the app's own router, so this snippet
+    // keeps running across the SPA navigation. Finished chats are kept in
+    // IndexedDB — rerunning after an interruption only visits what is missing,
+    // failed, or has a newer "Updated" value than the stored copy.
+    //
+    // chats: promptId → { status, updated, updatedGranularity, title, markdown, json, details, error, turnCount, savedAt }
+
+    // Another tab still holding the v1 database blocks the upgrade — fail fast
+    // so callers carry on without the store instead of hanging. This tab's
+    // connection steps aside for later upgrades in turn.
+    const openBatchDb = () => new Promise((resolve, reject) => {
+      let blocked = false;
+      const req = indexedDB.open('ai-studio-library-batch', 2);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('chats')) db.createObjectStore('chats', { keyPath: 'promptId' });
+        if (!db.objectStoreNames.contains('snapshots')) db.createObjectStore('snapshots', { keyPath: 'exported_at' });
+      };
+      req.onblocked = () => {
+        blocked = true;
+        reject(new Error('Database upgrade blocked by another AI Studio tab — close it and rerun'));
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (blocked) { db.close(); return; }
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+
+    const idbRequest = (db, storeName, mode, fn) => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    const createBatchStore = async () => {
+      if (!window.indexedDB) return null;
+      let db;
+      try { db = await openBatchDb(); }
+      catch (e) { console.warn('[LibExporter] Batch store unavailable — progress will not survive a reload', e); return null; }
+      return {
+        get: promptId => idbRequest(db, 'chats', 'readonly', s => s.get(promptId)),
+        put: record => idbRequest(db, 'chats', 'readwrite', s => s.put({ ...record, savedAt: Date.now() })),
+        close: () => db.close(),
+      };
+    };
+
+    const selectBatchEntries = (entries) => {
+      const { types, nameIncludes, updatedAfter } = CONFIG.batchFilter;
+      const wantedTypes = (types || []).map(t => t.toLowerCase());
+      const after = updatedAfter ? Date.parse(updatedAfter) : NaN;
+      return entries.filter(e => {
+        if (wantedTypes.length && !wantedTypes.includes((e.type || '').toLowerCase())) return false;
+        if (nameIncludes && !e.name.toLowerCase().includes(nameIncludes.toLowerCase())) return false;
+        if (!isNaN(after)) {
+          // Rows whose date cannot be parsed are kept rather than silently dropped
+          const updated = Date.parse(e.updated);
+          if (!isNaN(updated) && updated < after) return false;
+        }
+        return true;
+      });
+    };
+
+    // Prefer a real router link (sidebar/table); otherwise push the URL and let
+    // the router pick it up from popstate. Both keep the JS context alive.
+    const navigateInApp = (path) => {
+      const link = document.querySelector('a[href="' + path + '"]');
+      if (link) { link.click(); return; }
+      history.pushState(null, '', path);
+      window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+    };
+
+    const waitFor = async (predicate, timeoutMs) => {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        if (predicate()) return true;
+        await sleep(250);
+      }
+      return false;
+    };
+
+    // The previous chat's turns linger until the new route renders, so wait
+    // for the first turn element itself to be replaced.
+    const openPrompt = async (promptId) => {
+      const path = '/prompts/' + promptId;
+      const staleTurn = selectors.query('turn');
+      navigateInApp(path);
+      const loaded = await waitFor(() => {
+        if (window.location.pathname !== path) return false;
+        const first = selectors.query('turn');
+        return !!first && first !== staleTurn;
+      }, CONFIG.navigateTimeoutMs);
+      if (!loaded) throw new Error('Timed out waiting for the chat to load');
+      await sleep(CONFIG.scrollDelayMs);
+    };
+
+    const findChatScroller = () => {
+      const auto = selectors.query('chatScroller');
+      if (auto && auto.scrollHeight > auto.clientHeight) return auto;
+      const firstTurn = selectors.query('turn');
+      if (firstTurn) {
+        let el = firstTurn.parentElement;
+        while (el && el !== document.body) {
+          const s = getComputedStyle(el);
+          if (/(auto|scroll)/.test(s.overflow + s.overflowY) && el.scrollHeight > el.clientHeight) return el;
+          el = el.parentElement;
+        }
+      }
+      return document.documentElement;
+    };
+
+    const getChatTitle = (fallback) => {
+      const el = selectors.query('title');
+      if (el) { const v = (el.value || el.textContent || '').trim(); if (v) return v; }
+      return fallback;
+    };
+
+    // Trimmed version of the Chat Exporter's extractSingleTurn: role, thinking
+    // and the main text chunk (typed parts and images stay with the Chat Exporter).
+    const extractChatTurn = (turn) => {
+      let role = 'unknown';
+      const rc = selectors.query('turnRole', turn);
+      if (rc) {
+        const r = (rc.getAttribute('data-turn-role') || rc.getAttribute('data-role') || rc.className || '').toLowerCase();
+        if (/\buser\b/.test(r)) role = 'user'; else if (/\bmodel\b/.test(r)) role = 'model';
+      }
+      if (role === 'unknown') {
+        const c = turn.querySelector('.chat-turn-container');
+        if (c) { if (c.classList.contains('user')) role = 'user'; else if (c.classList.contains('model')) role = 'model'; }
+      }
+
+      let thinking = '';
+      if (CONFIG.includeThinking) {
+        const thoughtPanel = selectors.query('thoughtPanel', selectors.query('thoughtChunk', turn) || turn);
+        if (thoughtPanel) {
+          const root = selectors.query('markdownRoot', thoughtPanel) ||
+            thoughtPanel.querySelector('.mat-expansion-panel-body');
+          if (root) thinking = htmlToMarkdown(root);
+        }
+      }
+
+      let content = '';
+      const textChunkContainer = selectors.query('textChunk', turn);
+      if (textChunkContainer) {
+        for (const tc of textChunkContainer.querySelectorAll('ms-text-chunk')) {
+          if (tc.closest(selectors.selector('thoughtChunk'))) continue;
+          const cmarkRoot = selectors.query('markdownRoot', tc);
+          if (cmarkRoot) { content = htmlToMarkdown(cmarkRoot); break; }
+        }
+      }
+      if (!content) {
+        const turnContent = turn.querySelector('.turn-content');
+        if (turnContent) content = htmlToMarkdown(turnContent);
+      }
+      content = content.replace(/^\s*(User|Model)\s*\n/, '').trim();
+
+      return { role, content, thinking: thinking || undefined };
+    };
+
+    // Model name and total token count, trimmed from the Chat Exporter's
+    // getRunSettings — both are absent when the run settings panel is closed
+    const readModelName = () => {
+      for (const sel of [
+        'ms-model-selector .title', 'ms-model-selector-v3 .title',
+        '[data-test-id="model-selector"]', 'ms-model-selector button',
+      ]) {
+        const el = document.querySelector(sel);
+        const t = el ? (el.textContent || '').replace(/arrow_drop_down|expand_more/g, '').trim() : '';
+        if (t) return t;
+      }
+      return '';
+    };
+
+    // The chat's total sits in the run-settings panel. Every turn shows its own
+    // count too, so outside the panel only a count outside the turns will do.
+    const RUN_SETTINGS_SELECTOR = 'ms-run-settings, ms-prompt-run-settings, [class*="run-settings"]';
+    const TOKEN_COUNT_SELECTOR = '.token-count, [class*="token-count"], ms-token-count';
+
+    const readTokenCount = () => {
+      const root = document.querySelector(RUN_SETTINGS_SELECTOR);
+      const el = (root && root.querySelector(TOKEN_COUNT_SELECTOR)) ||
+        Array.from(document.querySelectorAll(TOKEN_COUNT_SELECTOR)).find(t => !t.closest(selectors.selector('turn')));
+      const m = el ? (el.textContent || '').replace(/,/g, '').match(/(\d+)/) : null;
+      return m ? parseInt(m[1]) : undefined;
+    };
+
+    // Files and images attached to a turn (same chips the separate-attachments
+    // Chat Exporter downloads)
+    const ATTACHMENT_SELECTOR =
+      'ms-image-chunk, ms-file-chunk, ms-document-chunk, ms-pdf-chunk, ms-audio-chunk, ms-video-chunk, ' +
+      'ms-text-file-chunk, [class*="file-chunk"], [class*="file-chip"], [class*="attachment-chip"]';
+
+    const countAttachments = (turn) => Array.from(turn.querySelectorAll(ATTACHMENT_SELECTOR))
+      .filter(chip => !(chip.parentElement && chip.parentElement.closest(ATTACHMENT_SELECTOR))).length;
+
+    const getSystemInstruction = () => {
+      for (const el of selectors.queryAll('systemInstructions')) {
+        if (el && el.value && el.value.trim()) return el.value.trim();
+      }
+      return '';
+    };
+
+    const exportOpenChat = async (entry) => {
+      const scroller = findChatScroller();
+      let lastH = -1, stable = 0;
+      for (let i = 0; i < 200; i++) {
+        scroller.scrollTop = scroller.scrollHeight;
+        await sleep(200);
+        if (scroller.scrollHeight === lastH) { if (++stable >= 4) break; }
+        else stable = 0;
+        lastH = scroller.scrollHeight;
+      }
+
+      const totalTurns = selectors.queryAll('turn').length;
+      const messages = [];
+      let attachments = 0;
+      for (let i = 0; i < totalTurns; i++) {
+        let turn = selectors.queryAll('turn')[i];
+        if (!turn) continue;
+        turn.scrollIntoView({ behavior: 'instant', block: 'center' });
+        await sleep(CONFIG.scrollDelayMs);
+
+        turn = selectors.queryAll('turn')[i];
+        if (!turn) continue;
+        selectors.queryAll('thoughtPanel', turn).forEach(tp => {
+          if (!tp.classList.contains('mat-expanded')) {
+            const h = selectors.query('thoughtHeader', tp);
+            if (h) try { h.click(); } catch (e) {}
+          }
+        });
+        await sleep(200);
+
+        turn = selectors.queryAll('turn')[i];
+        attachments += countAttachments(turn);
+        const data = extractChatTurn(turn);
+        if (data.content || data.thinking) messages.push(data);
+      }
+      if (messages.length === 0) throw new Error('No turns with content (' + totalTurns + ' rendered)');
+
+      const title = getChatTitle(entry.name);
+      const systemInstruction = getSystemInstruction();
+      const firstUser = messages.find(m => m.role === 'user');
+      const charCount = messages.reduce((n, m) => n + m.content.length + (m.thinking || '').length, 0);
+      const tokenCount = readTokenCount();
+      // ~4 characters per token when the page shows no count
+      const details = {
+        turnCount: messages.length,
+        firstUserMessage: firstUser ? firstUser.content : '',
+        systemInstruction,
+        model: readModelName(),
+        charCount,
+        tokens: tokenCount !== undefined ? tokenCount : Math.round(charCount / 4),
+        tokensEstimated: tokenCount === undefined,
+        attachmentCount: attachments,
+        hasAttachments: attachments > 0,
+      };
+
+      const exportedAt = new Date().toISOString();
+      const json = {
+        title,
+        exported_at: exportedAt,
+        source: entry.url,
+        type: entry.type || undefined,
+        updated: entry.updated || undefined,
+        model: details.model || undefined,
+        system_instruction: systemInstruction || undefined,
+        turn_count: messages.length,
+        messages: messages.map(m => ({
+          role: m.role, content: m.content,
+          ...(m.thinking ? { thinking: m.thinking } : {}),
+        })),
+      };
+
+      const md = [];
+      md.push('# ' + title);
+      md.push('');
+      md.push('> Exported from Google AI Studio on ' + exportedAt);
+      md.push('> Source: ' + entry.url);
+      md.push('');
+      if (systemInstruction) {
+        md.push('## System Instructions');
+        md.push('');
+        md.push('```');
+        md.push(systemInstruction);
+        md.push('```');
+        md.push('');
+      }
+      md.push('---');
+      md.push('');
+      messages.forEach(msg => {
+        md.push(msg.role === 'user' ? '## 👤 User' : '## 🤖 Model');
+        md.push('');
+        if (msg.thinking) {
+          md.push('<details>');
+          md.push('<summary>💭 Thinking / Reasoning</summary>');
+          md.push('');
+          md.push(msg.thinking);
+          md.push('');
+          md.push('</details>');
+          md.push('');
+        }
+        md.push(msg.content);
+        md.push('');
+        md.push('---');
+        md.push('');
+      });
+
+      return { title, markdown: md.join('\n'), json, details, turnCount: messages.length };
+    };
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Snapshot comparison ─────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Entries are matched on promptId. A previous ai_studio_library_*.json can
+    // be picked in the overlay; skipping falls back to the newest snapshot kept
+    // in IndexedDB, which holds the last CONFIG.historySize runs.
+    //
+    // snapshots: exported_at → { exported_at, source, total_entries, entries }
+
+    const SNAPSHOT_FIELDS = ['promptId', 'name', 'description', 'type', 'updated', 'updatedRaw', 'updatedGranularity', 'url'];
+    const slimEntry = e => Object.fromEntries(SNAPSHOT_FIELDS.map(k => [k, e[k] || '']));
+    const entryKey = e => e.promptId || e.url;
+
+    const createSnapshotStore = async () => {
+      if (!window.indexedDB) return null;
+      let db;
+      try { db = await openBatchDb(); }
+      catch (e) { console.warn('[LibExporter] Snapshot history unavailable', e); return null; }
+      return {
+        // ISO timestamps sort chronologically, so the last key is the newest run
+        latest: async () => {
+          const all = await idbRequest(db, 'snapshots', 'readonly', s => s.getAll());
+          return all.length ? all[all.length - 1] : null;
+        },
+        put: async (snapshot) => {
+          await idbRequest(db, 'snapshots', 'readwrite', s => s.put(snapshot));
+          const keys = await idbRequest(db, 'snapshots', 'readonly', s => s.getAllKeys());
+          const stale = keys.slice(0, Math.max(0, keys.length - CONFIG.historySize));
+          if (stale.length) await idbRequest(db, 'snapshots', 'readwrite', s => { stale.forEach(k => s.delete(k)); return s.count(); });
+        },
+        close: () => db.close(),
+      };
+    };
+
+    // Embedded copy of the json-file-picker block in the separate-attachments
+    // Chat Exporter — change it there first, then re-paste between the markers.
+
+    // ── BEGIN json-file-picker ──────────────────────────────────────────────
+    // CSP-safe file picker rendered inside the overlay. Resolves with the parsed
+    // JSON, or null when the user skips.
+    const pickJsonFile = (label) => new Promise(resolve => {
+      const box = document.createElement('div');
+      Object.assign(box.style, { marginTop: '12px', display: 'flex', flexDirection: 'column', gap: '8px' });
+      const lbl = document.createElement('div');
+      Object.assign(lbl.style, { fontSize: '12px', color: '#aaa' });
+      lbl.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      Object.assign(input.style, { fontSize: '12px', color: '#e0e0e0' });
+      const skipBtn = document.createElement('button');
+      skipBtn.textContent = 'Skip';
+      Object.assign(skipBtn.style, {
+        alignSelf: 'flex-start', padding: '6px 16px', borderRadius: '8px', border: 'none',
+        cursor: 'pointer', fontSize: '12px', background: '#333', color: '#ccc',
+      });
+      const done = (value) => { box.remove(); resolve(value); };
+      input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try { done(JSON.parse(await file.text())); }
+        catch (e) { lbl.textContent = '⚠️ ' + file.name + ' is not valid JSON — pick another file.'; }
+      });
+      skipBtn.addEventListener('click', () => done(null));
+      box.appendChild(lbl);
+      box.appendChild(input);
+      box.appendChild(skipBtn);
+      overlay.appendChild(box);
+    });
+    // ── END json-file-picker ────────────────────────────────────────────────
+
+    const compareSnapshots = (prev, curr) => {
+      // Exports from before date normalization carry the raw cell text only
+      const prevTime = isNaN(Date.parse(prev.exported_at)) ? new Date() : new Date(prev.exported_at);
+      const prevEntries = prev.entries.map(e => e.updatedRaw !== undefined ? e
+        : { ...e, ...normalizeUpdated(e.updated || '', null, prevTime) });
+      const prevByKey = new Map(prevEntries.map(e => [entryKey(e), e]));
+      const currKeys = new Set(curr.entries.map(entryKey));
+      const report = {
+        compared_at: new Date().toISOString(),
+        previous: { exported_at: prev.exported_at, total_entries: prev.entries.length },
+        current: { exported_at: curr.exported_at, total_entries: curr.entries.length },
+        summary: {},
+        added: [], deleted: [], renamed: [], description_changed: [], updated_changed: [],
+      };
+      let unchanged = 0;
+      curr.entries.forEach(e => {
+        const old = prevByKey.get(entryKey(e));
+        if (!old) { report.added.push(slimEntry(e)); return; }
+        const ref = { promptId: e.promptId, name: e.name, url: e.url };
+        let changed = false;
+        if ((old.name || '') !== (e.name || '')) { report.renamed.push({ ...ref, from: old.name || '', to: e.name || '' }); changed = true; }
+        if ((old.description || '') !== (e.description || '')) {
+          report.description_changed.push({ ...ref, from: old.description || '', to: e.description || '' }); changed = true;
+        }
+        if (!sameUpdated(old, e)) {
+          report.updated_changed.push({ ...ref, from: old.updated || '', to: e.updated || '' }); changed = true;
+        }
+        if (!changed) unchanged++;
+      });
+      prevEntries.forEach(e => { if (!currKeys.has(entryKey(e))) report.deleted.push(slimEntry(e)); });
+      ['added', 'deleted', 'renamed', 'description_changed', 'updated_changed'].forEach(k => { report.summary[k] = report[k].length; });
+      report.summary.unchanged = unchanged;
+      return report;
+    };
+
+    const changeReportToMarkdown = (report) => {
+      const cell = v => String(v || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+      const link = e => '[' + cell(e.name) + '](' + e.url + ')';
+      const s = report.summary;
+      const md = [];
+      md.push('# Google AI Studio — Library Changes');
+      md.push('');
+      md.push('> Previous: ' + (report.previous.exported_at || 'unknown') + ' (' + report.previous.total_entries + ' entries)');
+      md.push('> Current: ' + report.current.exported_at + ' (' + report.current.total_entries + ' entries)');
+      md.push('> ' + s.added + ' new · ' + s.deleted + ' deleted · ' + s.renamed + ' renamed · ' +
+        s.description_changed + ' description changes · ' + s.updated_changed + ' updated · ' + s.unchanged + ' unchanged');
+      md.push('');
+
+      const section = (heading, rows, header, toRow) => {
+        if (!rows.length) return;
+        md.push('## ' + heading + ' (' + rows.length + ')');
+        md.push('');
+        md.push('| ' + header.join(' | ') + ' |');
+        md.push('|' + header.map(() => ' --- |').join(''));
+        rows.forEach(r => md.push('| ' + toRow(r).join(' | ') + ' |'));
+        md.push('');
+      };
+      section('🆕 New', report.added, ['Name', 'Type', 'Updated'], e => [link(e), cell(e.type), cell(e.updated)]);
+      section('🗑️ Deleted', report.deleted, ['Name', 'Type', 'Last updated'], e => [link(e), cell(e.type), cell(e.updated)]);
+      section('✏️ Renamed', report.renamed, ['Was', 'Now'], r => [cell(r.from), link({ name: r.to, url: r.url })]);
+      section('📝 Description changed', report.description_changed, ['Name', 'Was', 'Now'], r => [link(r), cell(r.from), cell(r.to)]);
+      section('🕒 Updated', report.updated_changed, ['Name', 'Was', 'Now'], r => [link(r), cell(r.from), cell(r.to)]);
+      if (s.added + s.deleted + s.renamed + s.description_changed + s.updated_changed === 0) {
+        md.push('No changes.');
+        md.push('');
+      }
+      return md.join('\n');
+    };
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Grouping, tags and Obsidian vault ───────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+
+    // 'text' → case-insensitive substring, '/pattern/flags' or a RegExp as-is
+    const toRegExp = (m) => {
+      // g / y make test() stateful across entries, so they are dropped
+      if (m instanceof RegExp) return new RegExp(m.source, m.flags.replace(/[gy]/g, ''));
+      const re = /^\/(.*)\/([a-z]*)$/.exec(m);
+      return re ? new RegExp(re[1], re[2].replace(/[gy]/g, ''))
+        : new RegExp(String(m).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    };
+
+    const TAG_RULES = (CONFIG.tagRules || []).map(r => ({ tag: r.tag, re: toRegExp(r.match), field: r.in || 'both' }));
+
+    const tagEntry = (e) => {
+      const tags = [];
+      TAG_RULES.forEach(r => {
+        const text = r.field === 'name' ? e.name : r.field === 'description' ? e.description : e.name + '\n' + e.description;
+        if (r.re.test(text || '') && !tags.includes(r.tag)) tags.push(r.tag);
+      });
+      return tags;
+    };
+
+    // → [{ title, entries }]; with 'tag', an entry appears under every tag it has
+    const groupEntries = (entries, by) => {
+      const groups = new Map();
+      const add = (title, e) => { if (!groups.has(title)) groups.set(title, []); groups.get(title).push(e); };
+      if (by === 'type') {
+        entries.forEach(e => add(e.type || 'Unknown type', e));
+        return [...groups].sort((a, b) => a[0].localeCompare(b[0])).map(([title, list]) => ({ title, entries: list }));
+      }
+      if (by === 'month') {
+        // updated is UTC — group on the local calendar month it falls in
+        const monthOf = (e) => {
+          const t = /^\d{4}-\d{2}-/.test(e.updated) ? new Date(e.updated) : null;
+          return t && !isNaN(t) ? t.getFullYear() + '-' + String(t.getMonth() + 1).padStart(2, '0') : 'Unknown date';
+        };
+        entries.forEach(e => add(monthOf(e), e));
+        // Newest month first; 'Unknown date' sorts after every digit
+        return [...groups].sort((a, b) => b[0] === 'Unknown date' ? -1 : a[0] === 'Unknown date' ? 1 : b[0].localeCompare(a[0]))
+          .map(([title, list]) => ({ title, entries: list }));
+      }
+      if (by === 'tag') {
+        TAG_RULES.forEach(r => groups.set(r.tag, []));
+        entries.forEach(e => { if (e.tags && e.tags.length) e.tags.forEach(t => add(t, e)); else add('Untagged', e); });
+        return [...groups].filter(([, list]) => list.length).map(([title, list]) => ({ title, entries: list }));
+      }
+      return [{ title: 'Entries', entries }];
+    };
+
+    // GitHub-style heading anchor
+    const slugify = title => title.toLowerCase().trim().replace(/[^\w\- ]+/g, '').replace(/ /g, '-');
+
+    // YAML front matter; strings are emitted as JSON, which is valid YAML
+    const toFrontMatter = (obj) => {
+      const lines = ['---'];
+      const emit = (o, indent) => Object.entries(o).forEach(([k, v]) => {
+        if (v === undefined || v === null || v === '') return;
+        if (typeof v === 'object' && !Array.isArray(v)) {
+          lines.push(indent + k + ':');
+          emit(v, indent + '  ');
+        } else {
+          lines.push(indent + k + ': ' + JSON.stringify(v));
+        }
+      });
+      emit(obj, '');
+      lines.push('---');
+      return lines.join('\n');
+    };
+
+    // Obsidian tags can't contain spaces
+    const obsidianTag = tag => String(tag).replace(/^#/, '').replace(/\s+/g, '-');
+
+    // One vault note per prompt; a visited chat's transcript is appended
+    const promptNote = (e, record) => {
+      const d = e.details && !e.details.error ? e.details : {};
+      const md = [toFrontMatter({
+        title: e.name,
+        prompt_id: e.promptId,
+        type: e.type,
+        updated: e.updated,
+        updated_raw: e.updatedRaw !== e.updated ? e.updatedRaw : undefined,
+        url: e.url,
+        description: e.description,
+        tags: e.tags && e.tags.length ? e.tags.map(obsidianTag) : undefined,
+        turns: d.turnCount,
+        model: d.model,
+        tokens: d.tokens,
+        attachments: d.attachmentCount,
+      })];
+      md.push('');
+      md.push('# ' + e.name);
+      md.push('');
+      if (e.description) { md.push('> ' + e.description); md.push(''); }
+      md.push('[Open in AI Studio](' + e.url + ')');
+      md.push('');
+      if (record && record.status === 'ok') {
+        md.push('---');
+        md.push('');
+        md.push(record.markdown.replace(/^# .*\n+/, ''));
+      }
+      return md.join('\n');
+    };
+
+    // notes: [{ entry, file }] — wikilinks are relative to the vault root
+    const vaultIndexNote = (notes, exportedAt) => {
+      const fileByKey = new Map(notes.map(n => [entryKey(n.entry), n.file]));
+      const md = [toFrontMatter({ title: 'AI Studio Library', exported_at: exportedAt, total_entries: notes.length })];
+      md.push('');
+      md.push('# AI Studio Library');
+      md.push('');
+      groupEntries(notes.map(n => n.entry), CONFIG.groupBy).forEach(g => {
+        md.push('## ' + g.title);
+        md.push('');
+        g.entries.forEach(e => {
+          md.push('- [[Prompts/' + fileByKey.get(entryKey(e)) + '|' + e.name.replace(/[|\]]/g, '-') + ']]' +
+            [e.type, e.updated].filter(Boolean).map(v => ' · ' + v).join(''));
+        });
+        md.push('');
+      });
+      return md.join('\n');
+    };
+
     try {
       // ── Verify page ──────────────────────────────────────────────────────
       const onAIStudio = window.location.hostname.includes('aistudio.google.com');
@@ -141,8 +1537,7 @@
       setStatus('Scanning library table...');
 
       // ── Scroll the table to load all rows ────────────────────────────────
-      const tableWrapper = document.querySelector('div.lib-table-wrapper') ||
-        document.querySelector('ms-library-table');
+      const tableWrapper = selectors.query('libraryTableWrapper');
 
       if (tableWrapper && tableWrapper.scrollHeight > tableWrapper.clientHeight) {
         setStatus('Scrolling table to load all entries...');
@@ -160,12 +1555,11 @@
       }
 
       // ── Strategy 1: Extract from <table> rows ────────────────────────────
+      const exportTime = new Date();  // reference point for relative Updated dates
       const entries = [];
       const seenUrls = new Set();
 
-      const tableRows = document.querySelectorAll(
-        'table.library-table tr.mat-mdc-row, table.library-table tr.cdk-row'
-      );
+      const tableRows = selectors.queryAll('libraryRow');
 
       if (tableRows.length > 0) {
         setStatus('Extracting from table...', tableRows.length + ' rows');
@@ -176,17 +1570,17 @@
 
           // Column order: Name, Description, Type, Updated
           // Name cell contains a link
-          const nameCell = tr.querySelector('td.cdk-column-name, td.mat-column-name');
-          const descCell = tr.querySelector('td.cdk-column-description, td.mat-column-description');
-          const typeCell = tr.querySelector('td.cdk-column-type, td.mat-column-type');
-          const updatedCell = tr.querySelector('td.cdk-column-updated, td.mat-column-updated');
+          const nameCell = selectors.query('libraryNameCell', tr);
+          const descCell = selectors.query('libraryDescriptionCell', tr);
+          const typeCell = selectors.query('libraryTypeCell', tr);
+          const updatedCell = selectors.query('libraryUpdatedCell', tr);
 
           const link = nameCell ? nameCell.querySelector('a[href*="/prompts/"]') : null;
           const href = link ? link.getAttribute('href') : '';
           const name = link ? link.textContent.trim() : (nameCell ? nameCell.textContent.trim() : '');
           const description = descCell ? descCell.textContent.trim() : '';
           const type = typeCell ? typeCell.textContent.trim() : '';
-          const updated = updatedCell ? updatedCell.textContent.trim().replace('more_vert', '').trim() : '';
+          const updatedText = updatedCell ? updatedCell.textContent.trim().replace('more_vert', '').trim() : '';
 
           // Get the type icon text (chat_bubble, etc.)
           const typeIcon = tr.querySelector('td .material-symbols-outlined, td mat-icon');
@@ -200,7 +1594,7 @@
               name,
               description,
               type: type || typeIconText,
-              updated,
+              ...normalizeUpdated(updatedText, updatedCell, exportTime),
               url: fullUrl,
               promptId: href.replace('/prompts/', ''),
             });
@@ -211,7 +1605,7 @@
       // ── Strategy 2: Fallback — extract from sidebar links ────────────────
       if (entries.length === 0) {
         setStatus('Table empty, trying sidebar links...');
-        const sidebarLinks = document.querySelectorAll('a.prompt-link[href*="/prompts/"]');
+        const sidebarLinks = selectors.queryAll('promptLink');
         sidebarLinks.forEach(a => {
           const href = a.getAttribute('href') || '';
           const name = a.textContent.trim();
@@ -223,6 +1617,7 @@
               description: '',
               type: '',
               updated: '',
+              updatedRaw: '',
               url: fullUrl,
               promptId: href.replace('/prompts/', ''),
             });
@@ -231,10 +1626,68 @@
       }
 
       if (entries.length === 0) {
-        setStatus('⚠️ No entries found!');
+        downloadFile(selectors.report({ reason: 'No library entries found', page: 'library' }),
+          'ai_studio_selector_drift_' + Date.now() + '.txt');
+        setStatus('⚠️ No entries found!', 'Selector drift report downloaded');
         await sleep(4000); overlay.remove(); return;
       }
 
+      if (TAG_RULES.length) entries.forEach(e => { e.tags = tagEntry(e); });
+
+      // ── Visit chats: deep details and/or batch export ───────────────────
+      const records = new Map();
+      const tally = { exported: 0, reused: 0, failed: 0 };
+      let selected = [];
+      if (CONFIG.deepDetails || CONFIG.batchExport) {
+        selected = selectBatchEntries(entries);
+        setStatus('Visiting chats: ' + selected.length + ' of ' + entries.length + ' entries selected');
+        const store = await createBatchStore();
+
+        for (let i = 0; i < selected.length; i++) {
+          const entry = selected[i];
+          const progress = (i + 1) + '/' + selected.length + ' — ' + entry.name;
+          let record = store ? await store.get(entry.promptId) : null;
+
+          // Records saved before deep mode existed carry no details
+          if (record && record.status === 'ok' && sameUpdated(record, entry) &&
+              (record.details || !CONFIG.deepDetails)) {
+            setStatus('Reusing saved visit...', progress);
+            tally.reused++;
+          } else {
+            setStatus('Visiting chat...', progress);
+            try {
+              await openPrompt(entry.promptId);
+              const result = await exportOpenChat(entry);
+              record = {
+                promptId: entry.promptId, status: 'ok',
+                updated: entry.updated, updatedGranularity: entry.updatedGranularity, ...result,
+              };
+              tally.exported++;
+            } catch (e) {
+              console.warn('[LibExporter] ' + entry.url + ' — ' + e.message);
+              record = {
+                promptId: entry.promptId, status: 'failed',
+                updated: entry.updated, updatedGranularity: entry.updatedGranularity, error: e.message,
+              };
+              tally.failed++;
+            }
+            if (store) await store.put(record);
+          }
+          records.set(entry.promptId, record);
+        }
+        if (store) store.close();
+
+        // Back to the Library so the page is where the user left it
+        if (window.location.pathname !== '/library') navigateInApp('/library');
+
+        if (CONFIG.deepDetails) {
+          entries.forEach(e => {
+            const record = records.get(e.promptId);
+            if (record) e.details = record.status === 'ok' ? record.details : { error: record.error };
+          });
+        }
+      }
+
       setStatus('Extracted ' + entries.length + ' entries. Generating files...');
 
       const ts = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
@@ -243,7 +1696,7 @@
       // ── JSON export ──────────────────────────────────────────────────────
       if (CONFIG.exportFormat === 'json' || CONFIG.exportFormat === 'all') {
         const jsonData = {
-          exported_at: new Date().toISOString(),
+          exported_at: exportTime.toISOString(),  // relative Updated values are resolved against this
           source: window.location.href,
           total_entries: entries.length,
           entries,
@@ -254,23 +1707,41 @@
       // ── CSV export ───────────────────────────────────────────────────────
       if (CONFIG.exportFormat === 'csv' || CONFIG.exportFormat === 'all') {
         const escapeCsv = val => {
-          const s = String(val || '');
+          const s = val == null ? '' : String(val);
           if (s.includes(',') || s.includes('"') || s.includes('\n')) {
             return '"' + s.replace(/"/g, '""') + '"';
           }
           return s;
         };
 
-        const csvLines = ['Name,Description,Type,Updated,URL,Prompt ID'];
+        const csvLines = ['Name,Description,Type,Updated,Updated (raw),URL,Prompt ID' + (TAG_RULES.length ? ',Tags' : '') + (CONFIG.deepDetails
+          ? ',Turns,Model,Characters,Tokens,Tokens Estimated,Attachments,System Instruction,First User Message,Details Error' : '')];
         entries.forEach(e => {
-          csvLines.push([
+          const row = [
             escapeCsv(e.name),
             escapeCsv(e.description),
             escapeCsv(e.type),
             escapeCsv(e.updated),
+            escapeCsv(e.updatedRaw),
             escapeCsv(e.url),
             escapeCsv(e.promptId),
-          ].join(','));
+          ];
+          if (TAG_RULES.length) row.push(escapeCsv((e.tags || []).join('; ')));
+          if (CONFIG.deepDetails) {
+            const d = e.details || {};
+            row.push(
+              escapeCsv(d.turnCount),
+              escapeCsv(d.model),
+              escapeCsv(d.charCount),
+              escapeCsv(d.tokens),
+              escapeCsv(d.tokensEstimated),
+              escapeCsv(d.attachmentCount),
+              escapeCsv(d.systemInstruction),
+              escapeCsv(d.firstUserMessage),
+              escapeCsv(d.error),
+            );
+          }
+          csvLines.push(row.join(','));
         });
         downloadFile(csvLines.join('\n'), base + '.csv', 'text/csv');
       }
@@ -286,41 +1757,209 @@
         md.push('---');
         md.push('');
 
-        // Summary table
-        md.push('| # | Name | Type | Updated |');
-        md.push('| --- | --- | --- | --- |');
-        entries.forEach((e, i) => {
-          const name = '[' + e.name.replace(/\|/g, '\\|') + '](' + e.url + ')';
-          md.push('| ' + (i + 1) + ' | ' + name + ' | ' + e.type + ' | ' + e.updated + ' |');
-        });
-        md.push('');
-        md.push('---');
-        md.push('');
+        // Numbering follows the table order, also inside groups
+        const numberOf = new Map(entries.map((e, i) => [e, i + 1]));
 
-        // Detailed list
-        md.push('## Entries');
-        md.push('');
-        entries.forEach((e, i) => {
-          md.push('### ' + (i + 1) + '. ' + e.name);
+        const pushSummaryTable = (list) => {
+          md.push('| # | Name | Type | Updated |' + (CONFIG.deepDetails ? ' Turns | Model |' : ''));
+          md.push('| --- | --- | --- | --- |' + (CONFIG.deepDetails ? ' --- | --- |' : ''));
+          list.forEach(e => {
+            const name = '[' + e.name.replace(/\|/g, '\\|') + '](' + e.url + ')';
+            const d = e.details || {};
+            md.push('| ' + numberOf.get(e) + ' | ' + name + ' | ' + e.type + ' | ' + e.updated + ' |' +
+              (CONFIG.deepDetails ? ' ' + (d.turnCount != null ? d.turnCount : '') + ' | ' + (d.model || '') + ' |' : ''));
+          });
+          md.push('');
+        };
+
+        const preview = text => text.replace(/\s+/g, ' ').substring(0, 300) + (text.length > 300 ? '…' : '');
+        const pushEntryDetails = (e) => {
+          md.push('### ' + numberOf.get(e) + '. ' + e.name);
           md.push('');
           if (e.description) md.push('> ' + e.description);
           if (e.description) md.push('');
           md.push('- **Type:** ' + (e.type || 'N/A'));
-          md.push('- **Updated:** ' + (e.updated || 'N/A'));
+          md.push('- **Updated:** ' + (e.updated || 'N/A') +
+            (e.updatedRaw && e.updatedRaw !== e.updated ? ' (' + e.updatedRaw + ')' : ''));
           md.push('- **URL:** [Open in AI Studio](' + e.url + ')');
           md.push('- **Prompt ID:** `' + e.promptId + '`');
+          if (e.tags && e.tags.length) md.push('- **Tags:** ' + e.tags.map(t => '`' + t + '`').join(', '));
+          const d = e.details;
+          if (d && d.error) md.push('- **Details:** ❌ ' + d.error);
+          if (d && !d.error) {
+            md.push('- **Turns:** ' + d.turnCount);
+            md.push('- **Model:** ' + (d.model || 'N/A'));
+            md.push('- **Size:** ' + d.charCount.toLocaleString() + ' chars, ' +
+              (d.tokensEstimated ? '~' : '') + d.tokens.toLocaleString() + ' tokens');
+            md.push('- **Attachments:** ' + (d.hasAttachments ? d.attachmentCount : 'none'));
+            if (d.systemInstruction) md.push('- **System instruction:** ' + preview(d.systemInstruction));
+            if (d.firstUserMessage) md.push('- **First message:** ' + preview(d.firstUserMessage));
+          }
           md.push('');
           md.push('---');
           md.push('');
-        });
+        };
+
+        if (CONFIG.groupBy === 'none' || !CONFIG.groupBy) {
+          // Summary table
+          pushSummaryTable(entries);
+          md.push('---');
+          md.push('');
+
+          // Detailed list
+          md.push('## Entries');
+          md.push('');
+          entries.forEach(pushEntryDetails);
+        } else {
+          const groups = groupEntries(entries, CONFIG.groupBy);
+          md.push('## Contents');
+          md.push('');
+          groups.forEach(g => md.push('- [' + g.title + '](#' + slugify(g.title) + ') — ' + g.entries.length));
+          md.push('');
+          md.push('---');
+          md.push('');
+          groups.forEach(g => {
+            md.push('## ' + g.title);
+            md.push('');
+            pushSummaryTable(g.entries);
+            g.entries.forEach(pushEntryDetails);
+          });
+        }
 
         downloadFile(md.join('\n'), base + '.md', 'text/markdown');
       }
 
+      // ── Obsidian vault ───────────────────────────────────────────────────
+      if (CONFIG.obsidianVault) {
+        setStatus('Writing Obsidian vault...');
+        const vault = createZip();
+        const usedNames = new Set();
+        const notes = entries.map(entry => {
+          let file = sanitizeFilename(entry.name) || entry.promptId;
+          if (usedNames.has(file)) file += '_' + entry.promptId.slice(0, 8);
+          usedNames.add(file);
+          return { entry, file };
+        });
+        for (const { entry, file } of notes) {
+          await vault.add('Prompts/' + file + '.md', promptNote(entry, records.get(entry.promptId)));
+        }
+        await vault.add('Library.md', vaultIndexNote(notes, exportTime.toISOString()));
+        downloadFile(vault.toBlob(), base + '_vault.zip', 'application/zip');
+      }
+
+      // ── Compare with a previous snapshot ─────────────────────────────────
+      const snapshot = {
+        exported_at: new Date().toISOString(),
+        source: 'https://aistudio.google.com/library',
+        total_entries: entries.length,
+        entries: entries.map(slimEntry),
+      };
+      const history = CONFIG.keepHistory ? await createSnapshotStore() : null;
+      let changeSummary = '';
+      if (CONFIG.compareWithPrevious) {
+        setStatus('Compare with a previous export');
+        let prev = await pickJsonFile('Pick a previous ai_studio_library_*.json to compare with' +
+          (history ? ', or Skip to use the last run saved in this browser:' : ':'));
+        if (prev && !Array.isArray(prev.entries)) {
+          console.warn('[LibExporter] Selected file has no entries[] — not a library export, skipping diff');
+          prev = null;
+        }
+        if (!prev && history) {
+          prev = await history.latest().catch(e => {
+            console.warn('[LibExporter] Could not read the snapshot history', e);
+            return null;
+          });
+        }
+        if (prev) {
+          const report = compareSnapshots(prev, snapshot);
+          downloadFile(JSON.stringify(report, null, 2), base + '_changes.json', 'application/json');
+          downloadFile(changeReportToMarkdown(report), base + '_changes.md', 'text/markdown');
+          const s = report.summary;
+          const edited = new Set([...report.description_changed, ...report.updated_changed].map(r => r.promptId)).size;
+          changeSummary = 'Changes: ' + s.added + ' new, ' + s.deleted + ' deleted, ' + s.renamed + ' renamed, ' + edited + ' edited';
+        } else {
+          changeSummary = 'No previous snapshot to compare with';
+        }
+      }
+      // Best-effort: a failing history write must not cost the export itself
+      if (history) {
+        try { await history.put(snapshot); }
+        catch (e) { console.warn('[LibExporter] Could not save this snapshot to history', e); }
+        history.close();
+      }
+
       // ── Summary to console ───────────────────────────────────────────────
       console.table(entries.map(e => ({ name: e.name, type: e.type, updated: e.updated, url: e.url })));
 
-      setStatus('✅ Done! ' + entries.length + ' entries exported.', base + '.*');
+      // ── Batch export: every selected chat into one archive ───────────────
+      let batchSummary = '';
+      if (CONFIG.batchExport) {
+        setStatus('Batch export: packing ' + selected.length + ' chats...');
+        const zip = createZip();
+        const index = [];
+        const usedNames = new Set();
+
+        for (const entry of selected) {
+          const record = records.get(entry.promptId);
+          const item = {
+            name: entry.name, promptId: entry.promptId, url: entry.url,
+            type: entry.type, updated: entry.updated, status: record.status,
+          };
+          if (record.status === 'ok') {
+            let file = sanitizeFilename(record.title || entry.name) || entry.promptId;
+            if (usedNames.has(file)) file += '_' + entry.promptId.slice(0, 8);
+            usedNames.add(file);
+            item.turn_count = record.turnCount;
+            item.markdown = 'chats/' + file + '.md';
+            item.json = 'chats/' + file + '.json';
+            await zip.add(item.markdown, record.markdown);
+            await zip.add(item.json, JSON.stringify(record.json, null, 2));
+          } else {
+            item.error = record.error;
+          }
+          index.push(item);
+        }
+
+        const exportedAt = new Date().toISOString();
+        await zip.add('index.json', JSON.stringify({
+          exported_at: exportedAt,
+          source: 'https://aistudio.google.com/library',
+          filter: CONFIG.batchFilter,
+          total_selected: selected.length,
+          succeeded: tally.exported + tally.reused,
+          failed: tally.failed,
+          chats: index,
+        }, null, 2));
+
+        const md = [];
+        md.push('# Google AI Studio — Library Export');
+        md.push('');
+        md.push('> Exported on ' + exportedAt);
+        md.push('> Chats: ' + (tally.exported + tally.reused) + ' exported, ' + tally.failed + ' failed');
+        md.push('');
+        md.push('| # | Chat | Type | Updated | Status |');
+        md.push('| --- | --- | --- | --- | --- |');
+        index.forEach((c, i) => {
+          const name = c.name.replace(/\|/g, '\\|');
+          const link = c.markdown ? '[' + name + '](' + encodeURI(c.markdown) + ')' : name;
+          const status = c.status === 'ok'
+            ? '✅ ' + c.turn_count + ' turns'
+            : '❌ ' + String(c.error || '').replace(/\|/g, '\\|');
+          md.push('| ' + (i + 1) + ' | ' + link + ' | ' + (c.type || '') + ' | ' + (c.updated || '') + ' | ' + status + ' |');
+        });
+        md.push('');
+        await zip.add('index.md', md.join('\n'));
+
+        setStatus('Writing ZIP...', zip.size() + ' files');
+        downloadFile(zip.toBlob(), base + '_chats.zip', 'application/zip');
+
+        console.table(index.map(c => ({ name: c.name, status: c.status, turns: c.turn_count, error: c.error })));
+      }
+      if (selected.length) {
+        batchSummary = 'Chats: ' + tally.exported + ' visited, ' + tally.reused + ' reused, ' + tally.failed + ' failed';
+      }
+
+      setStatus('✅ Done! ' + entries.length + ' entries exported.', [changeSummary, batchSummary, base + '.*'].filter(Boolean).join(' — '));
       await sleep(5000);
 
     } catch (err) {
@@ -0,0 +1,446 @@
+// =============================================================================
+// AI Studio Chat Importer — DevTools Snippet
+// =============================================================================
+// Run on: https://aistudio.google.com/prompts/new_chat
+// Rebuilds a chat from a Chat Exporter JSON file: fills in the system
+// instruction, then adds every user and model turn in order through the
+// page's own composer controls (no model runs are triggered).
+// Thinking is not restored; images become [image] placeholders.
+// Selector registry with fallbacks; a drift report is downloaded when a control is missing.
+// =============================================================================
+
+(async () => {
+    'use strict';
+
+    const CONFIG = {
+      includeSystemPrompt: true,
+      uiTimeoutMs: 10000,  // longest wait for the page to react to one step
+      stepDelayMs: 300,    // pause between turns so autosave keeps up
+    };
+
+    const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+    const downloadFile = (content, filename, mimeType = 'text/plain') => {
+      const blob = new Blob([content], { type: mimeType });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    };
+
+    // ── CSP-safe status overlay ────────────────────────────────────────────────
+    const overlay = document.createElement('div');
+    Object.assign(overlay.style, {
+      position: 'fixed', top: '16px', right: '16px', zIndex: '999999',
+      background: '#1a1a2e', color: '#e0e0e0', padding: '16px 24px',
+      borderRadius: '12px', fontFamily: 'system-ui, sans-serif', fontSize: '14px',
+      boxShadow: '0 4px 24px rgba(0,0,0,0.4)', minWidth: '300px',
+      border: '1px solid #333'
+    });
+    const hdr = document.createElement('div');
+    Object.assign(hdr.style, { fontWeight: '600', marginBottom: '8px', color: '#7c9cff' });
+    hdr.textContent = '📥 AI Studio Importer';
+    const statusEl = document.createElement('div');
+    statusEl.textContent = 'Initializing...';
+    const progressEl = document.createElement('div');
+    Object.assign(progressEl.style, { marginTop: '6px', fontSize: '12px', color: '#888' });
+    overlay.appendChild(hdr);
+    overlay.appendChild(statusEl);
+    overlay.appendChild(progressEl);
+    document.body.appendChild(overlay);
+
+    const setStatus = (msg, detail = '') => {
+      statusEl.textContent = msg;
+      progressEl.textContent = detail;
+      console.log('[Importer] ' + msg + (detail ? ' — ' + detail : ''));
+    };
+
+    // CSP-safe file picker rendered inside the overlay. Resolves with the parsed
+    // JSON, or null when the user skips.
+    const pickJsonFile = (label) => new Promise(resolve => {
+      const box = document.createElement('div');
+      Object.assign(box.style, { marginTop: '12px', display: 'flex', flexDirection: 'column', gap: '8px' });
+      const lbl = document.createElement('div');
+      Object.assign(lbl.style, { fontSize: '12px', color: '#aaa' });
+      lbl.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      Object.assign(input.style, { fontSize: '12px', color: '#e0e0e0' });
+      const skipBtn = document.createElement('button');
+      skipBtn.textContent = 'Cancel';
+      Object.assign(skipBtn.style, {
+        alignSelf: 'flex-start', padding: '6px 16px', borderRadius: '8px', border: 'none',
+        cursor: 'pointer', fontSize: '12px', background: '#333', color: '#ccc',
+      });
+      const done = (value) => { box.remove(); resolve(value); };
+      input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try { done(JSON.parse(await file.text())); }
+        catch (e) { lbl.textContent = '⚠️ ' + file.name + ' is not valid JSON — pick another file.'; }
+      });
+      skipBtn.addEventListener('click', () => done(null));
+      box.appendChild(lbl);
+      box.appendChild(input);
+      box.appendChild(skipBtn);
+      overlay.appendChild(box);
+    });
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Selector registry ───────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    //
+    // Embedded copy of "Google AI Studio - [0] Selector Registry.js" — change
+    // it there first, then re-paste between the BEGIN/END markers.
+
+    // ── BEGIN ai-studio-selectors ───────────────────────────────────────────
+    const AiStudioSelectors = (() => {
+      // page: where the concept is expected — the report only flags those.
+      // optional: legitimately absent (no thinking, short list), never flagged.
+      const CONCEPTS = {
+        // Prompts (chat) page
+        turn: { page: 'prompts', candidates: ['ms-chat-turn', '[data-turn-id]', '.chat-turn-container'] },
+        turnRole: { page: 'prompts', candidates: ['[data-turn-role]', '[data-role]', '.chat-turn-container.user, .chat-turn-container.model'] },
+        textChunk: { page: 'prompts', candidates: ['ms-prompt-chunk.text-chunk', '[class*="text-chunk"]'] },
+        markdownRoot: { page: 'prompts', candidates: ['ms-cmark-node.cmark-node', 'ms-cmark-node', '.markdown'] },
+        thoughtChunk: { optional: true, page: 'prompts', candidates: ['ms-thought-chunk', '[class*="thought-chunk"]'] },
+        thoughtPanel: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel.thought-panel', 'ms-thought-chunk mat-expansion-panel', 'ms-thought-chunk details'] },
+        thoughtHeader: { optional: true, page: 'prompts', candidates: ['mat-expansion-panel-header', 'summary', '[role="button"][aria-expanded]'] },
+        chatScroller: { optional: true, page: 'prompts', candidates: ['ms-autoscroll-container', '.chat-view-container', '[class*="chat-container"]'] },
+        title: { optional: true, page: 'prompts', candidates: ['span.title-input', '[aria-label="prompt title"]', 'h1.mode-title, h1'] },
+        systemInstructions: { optional: true, page: 'prompts', candidates: ['ms-system-instructions-panel textarea', 'textarea[aria-label*="system" i]'] },
+        // Composer controls (new_chat page, used by the importer)
+        promptInput: { page: 'compose', candidates: ['ms-prompt-input-wrapper textarea', 'ms-chunk-input textarea', 'textarea[aria-label*="prompt" i]', 'footer textarea'] },
+        addTurnButton: { page: 'compose', candidates: ['button[aria-label*="add to chat" i]', 'button[aria-label*="without running" i]', 'button[aria-label="Add"]'] },
+        turnRoleToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="switch role" i]', 'button[aria-label*="change role" i]', 'button[aria-label*="role" i]'] },
+        systemInstructionsToggle: { optional: true, page: 'compose', candidates: ['button[aria-label*="system instructions" i]', 'ms-system-instructions button', '[data-test-system-instructions-card]'] },
+        // Library page
+        libraryTableWrapper: { optional: true, page: 'library', candidates: ['div.lib-table-wrapper', 'ms-library-table', 'cdk-virtual-scroll-viewport'] },
+        libraryRow: { page: 'library', candidates: ['table.library-table tr.mat-mdc-row, table.library-table tr.cdk-row', 'tr.mat-mdc-row, tr.cdk-row', 'table tbody tr'] },
+        libraryNameCell: { page: 'library', candidates: ['td.cdk-column-name, td.mat-column-name', 'td:nth-child(1)'] },
+        libraryDescriptionCell: { optional: true, page: 'library', candidates: ['td.cdk-column-description, td.mat-column-description', 'td:nth-child(2)'] },
+        libraryTypeCell: { page: 'library', candidates: ['td.cdk-column-type, td.mat-column-type', 'td:nth-child(3)'] },
+        libraryUpdatedCell: { page: 'library', candidates: ['td.cdk-column-updated, td.mat-column-updated', 'td:nth-child(4)'] },
+        // Both pages (sidebar)
+        promptLink: { optional: true, page: 'any', candidates: ['a.prompt-link[href*="/prompts/"]', 'a[href*="/prompts/"]'] },
+      };
+
+      const ELEMENT_NODE = 1;
+      const TEXT_NODE = 3;
+
+      const safeQueryAll = (root, sel) => {
+        try { return Array.from(root.querySelectorAll(sel)); } catch (e) { return []; }
+      };
+
+      // ── Tree dump (from the DOM Inspector snippets) ──
+      const describeEl = (el, maxText = 100) => {
+        const tag = el.tagName.toLowerCase();
+        const cls = el.className && typeof el.className === 'string' && el.className.trim()
+          ? '.' + el.className.trim().split(/\s+/).slice(0, 5).join('.') : '';
+        const id = el.id ? '#' + el.id : '';
+        const role = el.getAttribute('role') ? ' [role=' + el.getAttribute('role') + ']' : '';
+        const href = el.getAttribute('href') ? ' [href="' + el.getAttribute('href').substring(0, 80) + '"]' : '';
+        const ariaLabel = el.getAttribute('aria-label')
+          ? ' [aria-label="' + el.getAttribute('aria-label').substring(0, 60) + '"]' : '';
+        const dataAttrs = Array.from(el.attributes)
+          .filter(a => a.name.startsWith('data-'))
+          .map(a => ' [' + a.name + '="' + a.value.substring(0, 60) + '"]')
+          .join('');
+        const text = (el.textContent || '').trim().substring(0, maxText).replace(/\n/g, '\\n');
+        const textStr = text ? ' text="' + text + (text.length >= maxText ? '…' : '') + '"' : '';
+        return '<' + tag + id + cls + role + href + ariaLabel + dataAttrs + '>' + textStr;
+      };
+
+      const dumpTree = (el, log, indent = 0, maxDepth = 8) => {
+        const pad = '  '.repeat(indent);
+        if (indent > maxDepth) { log(pad + '... (depth limit)'); return; }
+
+        if (el.nodeType === TEXT_NODE) {
+          const t = el.textContent.trim();
+          if (t) log(pad + '#text "' + t.substring(0, 100).replace(/\n/g, '\\n') + '"');
+          return;
+        }
+        if (el.nodeType !== ELEMENT_NODE) return;
+
+        const childCount = el.children.length;
+        log(pad + describeEl(el, 80) + (childCount > 0 ? ' [' + childCount + ' ch]' : ''));
+        Array.from(el.childNodes).forEach(child => dumpTree(child, log, indent + 1, maxDepth));
+      };
+
+      const customElementCounts = (doc) => {
+        const counts = {};
+        doc.querySelectorAll('*').forEach(el => {
+          const tag = el.tagName.toLowerCase();
+          if (tag.includes('-')) counts[tag] = (counts[tag] || 0) + 1;
+        });
+        return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+      };
+
+      const findMainArea = (doc) => {
+        for (const sel of ['main', '[role="main"]', '.main-content', 'ms-library', 'ms-chunk-editor', 'ms-prompt-switcher']) {
+          const el = doc.querySelector(sel);
+          if (el) return { el, via: '"' + sel + '"' };
+        }
+        const outlet = doc.querySelector('router-outlet');
+        if (outlet && outlet.nextElementSibling) return { el: outlet.nextElementSibling, via: 'router-outlet sibling' };
+        return { el: doc.body, via: 'document.body' };
+      };
+
+      const create = ({ concepts = {}, doc = typeof document !== 'undefined' ? document : null } = {}) => {
+        const registry = {};
+        Object.keys(CONCEPTS).forEach(name => {
+          registry[name] = { ...CONCEPTS[name], candidates: [...(concepts[name] || []), ...CONCEPTS[name].candidates] };
+        });
+        Object.keys(concepts).forEach(name => {
+          if (!registry[name]) registry[name] = { page: 'any', candidates: [...concepts[name]] };
+        });
+
+        const misses = {};    // concept → times every candidate came back empty
+
+        const candidatesOf = (name) => {
+          if (!registry[name]) throw new Error('Unknown selector concept: ' + name);
+          return registry[name].candidates;
+        };
+
+        const queryAll = (name, root = doc) => {
+          for (const sel of candidatesOf(name)) {
+            const found = safeQueryAll(root, sel);
+            if (found.length) return found;
+          }
+          misses[name] = (misses[name] || 0) + 1;
+          return [];
+        };
+
+        const query = (name, root = doc) => queryAll(name, root)[0] || null;
+
+        // Every candidate as one selector list, for closest() / matches()
+        const selector = name => candidatesOf(name).join(', ');
+
+        const status = () => Object.keys(registry).map(name => {
+          const counts = registry[name].candidates.map(sel => ({ selector: sel, matches: safeQueryAll(doc, sel).length }));
+          const hit = counts.find(c => c.matches > 0);
+          return {
+            concept: name, page: registry[name].page, optional: !!registry[name].optional,
+            resolved: hit ? hit.selector : null, counts, misses: misses[name] || 0,
+          };
+        });
+
+        // page: 'prompts' | 'library' | 'compose', or a list of them — concepts
+        // for other pages are listed but not flagged as drifted
+        const report = ({ reason = '', page = '', treeDepth = 6 } = {}) => {
+          const lines = [];
+          const log = (...args) => lines.push(args.join(' '));
+          const rows = status();
+          const pages = [].concat(page).filter(Boolean);
+          const expected = r => !pages.length || pages.includes(r.page) || r.page === 'any';
+          const drifted = rows.filter(r => !r.resolved && !r.optional && expected(r));
+
+          log('═══════════════════════════════════════════════════════════════');
+          log('  AI STUDIO SELECTOR DRIFT REPORT');
+          log('  URL: ' + doc.location.href);
+          log('  Time: ' + new Date().toISOString());
+          if (reason) log('  Reason: ' + reason);
+          log('═══════════════════════════════════════════════════════════════');
+          log('');
+
+          log('── SECTION 1: SELECTOR REGISTRY ──');
+          rows.forEach(r => {
+            const flagged = !r.resolved && !r.optional && expected(r);
+            const mark = r.resolved ? '✔' : flagged ? '✘' : '·';
+            log('  ' + mark + ' ' + r.concept + ' (' + r.page + ')' +
+              (r.resolved ? ' → "' + r.resolved + '"'
+                : flagged ? ' — no fallback matched'
+                : expected(r) ? ' — optional, not present' : ' — not on this page') +
+              (r.misses ? ' [' + r.misses + ' empty lookups]' : ''));
+            if (flagged || (r.resolved && r.resolved !== r.counts[0].selector)) {
+              r.counts.forEach(c => log('      "' + c.selector + '" → ' + c.matches));
+            }
+          });
+          log('');
+          log('  Drifted: ' + (drifted.length ? drifted.map(r => r.concept).join(', ') : 'none'));
+          log('');
+
+          log('── SECTION 2: ALL CUSTOM ELEMENTS ON PAGE ──');
+          Object.entries(customElementCounts(doc)).forEach(([tag, count]) => log('  ' + tag + ' × ' + count));
+          log('');
+
+          // A resolved container concept is the best place to look for its
+          // drifted children; otherwise dump the main content area
+          const anchor = ['turn', 'libraryRow'].map(n => rows.find(r => r.concept === n))
+            .find(r => r && r.resolved && drifted.length);
+          if (anchor) {
+            log('── SECTION 3: FIRST "' + anchor.concept + '" ELEMENT TREE (depth=' + treeDepth + ') ──');
+            dumpTree(doc.querySelector(anchor.resolved), log, 0, treeDepth);
+            log('');
+          }
+
+          const main = findMainArea(doc);
+          log('── SECTION ' + (anchor ? 4 : 3) + ': MAIN CONTENT AREA TREE (depth=' + treeDepth + ') ──');
+          log('  Found main via ' + main.via);
+          log('');
+          dumpTree(main.el, log, 0, treeDepth);
+          log('');
+          log('═══════════════════════════════════════════════════════════════');
+          return lines.join('\n');
+        };
+
+        return { query, queryAll, selector, status, report };
+      };
+
+      return { create, concepts: CONCEPTS, safeQueryAll, describeEl, dumpTree, customElementCounts };
+    })();
+    // ── END ai-studio-selectors ─────────────────────────────────────────────
+
+    const selectors = AiStudioSelectors.create();
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Composer helpers ────────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+
+    const waitFor = async (predicate, timeoutMs = CONFIG.uiTimeoutMs) => {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        if (predicate()) return true;
+        await sleep(100);
+      }
+      return false;
+    };
+
+    // Angular only sees value changes that come with an input event; the
+    // native setter bypasses any value accessor the framework patched in
+    const fillTextarea = (el, text) => {
+      const setter = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+      el.focus();
+      setter.call(el, text);
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const readTurnRole = (turn) => {
+      const rc = selectors.query('turnRole', turn);
+      if (rc) {
+        const r = (rc.getAttribute('data-turn-role') || rc.getAttribute('data-role') || rc.className || '').toLowerCase();
+        if (/\buser\b/.test(r)) return 'user';
+        if (/\bmodel\b/.test(r)) return 'model';
+      }
+      const c = turn.querySelector('.chat-turn-container');
+      if (c) { if (c.classList.contains('user')) return 'user'; if (c.classList.contains('model')) return 'model'; }
+      return 'unknown';
+    };
+
+    // Images can't be re-uploaded from an export — keep a visible marker instead
+    const stripImages = (md) => {
+      let count = 0;
+      const text = md.replace(/!\[([^\]]*)\]\([^)]*\)/g, (m, alt) => { count++; return '[image' + (alt ? ': ' + alt : '') + ']'; });
+      return { text, count };
+    };
+
+    const setSystemInstruction = async (text) => {
+      let el = selectors.query('systemInstructions');
+      if (!el) {
+        const toggle = selectors.query('systemInstructionsToggle');
+        if (toggle) {
+          toggle.click();
+          await waitFor(() => (el = selectors.query('systemInstructions')));
+        }
+      }
+      if (!el) return false;
+      fillTextarea(el, text);
+      return true;
+    };
+
+    // Adds one turn without running the model → null, or why it failed
+    const addTurn = async (role, text) => {
+      const input = selectors.query('promptInput');
+      if (!input) return 'prompt input not found';
+      const before = selectors.queryAll('turn').length;
+      fillTextarea(input, text);
+      const addBtn = selectors.query('addTurnButton');
+      if (!addBtn) return 'add-turn button not found';
+      await waitFor(() => !addBtn.disabled, 2000);
+      addBtn.click();
+      if (!await waitFor(() => selectors.queryAll('turn').length > before)) return 'no new turn appeared';
+
+      const turns = selectors.queryAll('turn');
+      const turn = turns[turns.length - 1];
+      if (readTurnRole(turn) === role) return null;
+      const toggle = selectors.query('turnRoleToggle', turn);
+      if (!toggle) return 'turn role toggle not found';
+      toggle.click();
+      const turnAt = turns.length - 1;
+      if (!await waitFor(() => { const t = selectors.queryAll('turn')[turnAt]; return !!t && readTurnRole(t) === role; })) {
+        return 'turn did not switch to ' + role;
+      }
+      return null;
+    };
+
+    // ══════════════════════════════════════════════════════════════════════════
+    // ── Main ────────────────────────────────────────────────────────────────
+    // ══════════════════════════════════════════════════════════════════════════
+    try {
+      if (!/\/prompts\/new_chat\b/.test(window.location.pathname)) {
+        setStatus('❌ Open a new chat first', 'https://aistudio.google.com/prompts/new_chat');
+        await sleep(4000); overlay.remove(); return;
+      }
+
+      setStatus('Pick an export to import');
+      const data = await pickJsonFile('Pick a Chat Exporter JSON file to rebuild here:');
+      if (!data) { setStatus('Cancelled.'); await sleep(1500); overlay.remove(); return; }
+      if (!Array.isArray(data.messages)) {
+        setStatus('❌ Not an exporter JSON', 'The file has no messages[] array');
+        await sleep(4000); overlay.remove(); return;
+      }
+
+      const turns = [];
+      let skipped = 0;
+      let images = 0;
+      data.messages.forEach(m => {
+        if ((m.role !== 'user' && m.role !== 'model') || !(m.content || '').trim()) { skipped++; return; }
+        const stripped = stripImages(m.content);
+        images += stripped.count;
+        turns.push({ role: m.role, text: stripped.text });
+      });
+      if (turns.length === 0) {
+        setStatus('⚠️ Nothing to import', data.messages.length + ' messages, none with user/model text');
+        await sleep(4000); overlay.remove(); return;
+      }
+
+      let systemSet = null;
+      if (CONFIG.includeSystemPrompt && data.system_instruction) {
+        setStatus('Setting system instruction...');
+        systemSet = await setSystemInstruction(data.system_instruction);
+        if (!systemSet) console.warn('[Importer] System instructions field not found — skipped');
+      }
+
+      for (let i = 0; i < turns.length; i++) {
+        const t = turns[i];
+        setStatus('Adding turns...', 'Turn ' + (i + 1) + '/' + turns.length + ' (' + t.role + ', ' + t.text.length + ' chars)');
+        const failure = await addTurn(t.role, t.text);
+        if (failure) {
+          downloadFile(selectors.report({ reason: 'Import stopped at turn ' + (i + 1) + ': ' + failure, page: ['prompts', 'compose'] }),
+            'ai_studio_selector_drift_' + Date.now() + '.txt');
+          setStatus('⚠️ Stopped at turn ' + (i + 1) + '/' + turns.length + ': ' + failure, 'Selector drift report downloaded');
+          await sleep(5000); overlay.remove(); return;
+        }
+        await sleep(CONFIG.stepDelayMs);
+      }
+
+      setStatus('✅ Imported ' + turns.length + ' turns' + (data.title ? ' from "' + data.title + '"' : '') + '.', [
+        systemSet === true ? 'system instruction set' : systemSet === false ? 'system instruction field not found' : '',
+        skipped ? skipped + ' empty/unknown messages skipped' : '',
+        images ? images + ' images replaced by placeholders' : '',
+      ].filter(Boolean).join(' — '));
+      await sleep(5000);
+    } catch (err) {
+      setStatus('❌ ' + err.message);
+      console.error('[Importer]', err);
+      await sleep(5000);
+    } finally {
+      overlay.remove();
+    }
+})();
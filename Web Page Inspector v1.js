@@ -1090,6 +1090,9 @@ class WebPageInspector {
       "ms",
     );
     console.log("Resource Count:", performance.resources.length);
+    Object.entries(performance.vitals).forEach(([name, metric]) => {
+      console.log(`${name.toUpperCase()}:`, this.formatVital(name, metric));
+    });
 
     this.results.analysis.performance = performance;
   }
@@ -1145,16 +1148,272 @@ class WebPageInspector {
     return "other";
   }
 
+  // Core Web Vitals from buffered PerformanceObserver entries. Each metric
+  // names what caused it: the LCP element, the nodes that shifted in the
+  // worst CLS window, the target of the slowest interaction, and the
+  // network phases behind TTFB.
   async getWebVitals() {
-    // Simplified web vitals - in a real implementation, you'd use the web-vitals library
+    const [lcpEntries, shiftEntries, eventEntries, firstInputEntries] =
+      await Promise.all([
+        this.observeBuffered("largest-contentful-paint"),
+        this.observeBuffered("layout-shift"),
+        this.observeBuffered("event", { durationThreshold: 16 }),
+        this.observeBuffered("first-input"),
+      ]);
+
+    const vitals = {
+      lcp: this.measureLCP(lcpEntries),
+      cls: this.measureCLS(shiftEntries),
+      inp: this.measureINP(eventEntries, firstInputEntries),
+      fid: this.measureFID(firstInputEntries),
+      ttfb: this.measureTTFB(),
+    };
+
+    Object.entries(vitals).forEach(([name, metric]) => {
+      if (metric.value !== null) {
+        metric.rating = this.rateVital(name, metric.value);
+      }
+    });
+
+    return vitals;
+  }
+
+  // Buffered entries of one type, or null when the browser doesn't record
+  // it. The buffer is delivered asynchronously, so collect for a moment.
+  observeBuffered(type, options = {}) {
+    if (
+      !("PerformanceObserver" in window) ||
+      !(PerformanceObserver.supportedEntryTypes || []).includes(type)
+    ) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      const entries = [];
+      const observer = new PerformanceObserver((list) => {
+        entries.push(...list.getEntries());
+      });
+
+      try {
+        observer.observe({ type, buffered: true, ...options });
+      } catch (e) {
+        resolve(null);
+        return;
+      }
+
+      setTimeout(() => {
+        entries.push(...observer.takeRecords());
+        observer.disconnect();
+        resolve(entries);
+      }, 100);
+    });
+  }
+
+  // Time the page spent prerendering before the user actually saw it
+  getActivationStart() {
+    const navigation = performance.getEntriesByType("navigation")[0];
+    return (navigation && navigation.activationStart) || 0;
+  }
+
+  // Short CSS path (up to the nearest id) naming the node behind a metric
+  getNodePath(node) {
+    if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+    if (!node) return null;
+
+    const parts = [];
+    for (
+      let el = node;
+      el && el !== document.documentElement && parts.length < 4;
+      el = el.parentElement
+    ) {
+      let part = el.tagName.toLowerCase();
+      if (el.id) {
+        parts.unshift(`${part}#${el.id}`);
+        break;
+      }
+      const classes = [...el.classList].slice(0, 2);
+      if (classes.length > 0) part += `.${classes.join(".")}`;
+      parts.unshift(part);
+    }
+
+    return parts.join(" > ") + (node.isConnected ? "" : " (removed)");
+  }
+
+  measureLCP(entries) {
+    if (!entries) {
+      return { value: null, note: "largest-contentful-paint not supported" };
+    }
+
+    // Every larger paint emits a new candidate; the last one is the LCP
+    const entry = entries[entries.length - 1];
+    if (!entry) return { value: null, note: "No LCP entry recorded" };
+
+    return {
+      value: Math.max(
+        Math.round(entry.startTime - this.getActivationStart()),
+        0,
+      ),
+      element: this.getNodePath(entry.element),
+      url: entry.url || null,
+      size: entry.size,
+      candidates: entries.length,
+    };
+  }
+
+  // CLS is the worst session window: shifts less than 1s apart, at most 5s
+  // long, ignoring shifts right after user input
+  measureCLS(entries) {
+    if (!entries) return { value: null, note: "layout-shift not supported" };
+
+    let current = { value: 0, entries: [] };
+    let worst = current;
+
+    entries
+      .filter((entry) => !entry.hadRecentInput)
+      .forEach((entry) => {
+        const first = current.entries[0];
+        const last = current.entries[current.entries.length - 1];
+
+        if (
+          first &&
+          entry.startTime - last.startTime < 1000 &&
+          entry.startTime - first.startTime < 5000
+        ) {
+          current.value += entry.value;
+          current.entries.push(entry);
+        } else {
+          current = { value: entry.value, entries: [entry] };
+        }
+
+        if (current.value > worst.value) worst = current;
+      });
+
     return {
-      note: "Use web-vitals library for accurate measurements",
-      cls: "Not measured",
-      fid: "Not measured",
-      lcp: "Not measured",
+      value: Math.round(worst.value * 10000) / 10000,
+      shifts: entries.length,
+      window: worst.entries.length
+        ? {
+            start: Math.round(worst.entries[0].startTime),
+            end: Math.round(worst.entries[worst.entries.length - 1].startTime),
+          }
+        : null,
+      sources: [...worst.entries]
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 5)
+        .map((entry) => ({
+          value: Math.round(entry.value * 10000) / 10000,
+          time: Math.round(entry.startTime),
+          nodes: (entry.sources || [])
+            .map((source) => this.getNodePath(source.node))
+            .filter(Boolean),
+        })),
     };
   }
 
+  // INP: the slowest interaction, ignoring one outlier per 50 interactions.
+  // Event entries under 104ms are only buffered while an observer is
+  // listening, so interactions before the inspector ran may be missing.
+  measureINP(eventEntries, firstInputEntries) {
+    if (!eventEntries)
+      return { value: null, note: "Event Timing not supported" };
+
+    const interactions = new Map();
+    [...eventEntries, ...(firstInputEntries || [])].forEach((entry) => {
+      if (!entry.interactionId) return;
+      const known = interactions.get(entry.interactionId);
+      if (!known || entry.duration > known.duration) {
+        interactions.set(entry.interactionId, entry);
+      }
+    });
+
+    if (interactions.size === 0) {
+      return {
+        value: null,
+        note: "No slow interactions recorded yet - interact with the page and run again",
+      };
+    }
+
+    const slowest = [...interactions.values()].sort(
+      (a, b) => b.duration - a.duration,
+    );
+    const entry =
+      slowest[Math.min(slowest.length - 1, Math.floor(slowest.length / 50))];
+
+    return {
+      value: entry.duration,
+      interactions: interactions.size,
+      event: entry.name,
+      target: this.getNodePath(entry.target),
+      inputDelay: Math.round(entry.processingStart - entry.startTime),
+      processingTime: Math.round(entry.processingEnd - entry.processingStart),
+      presentationDelay: Math.round(
+        entry.startTime + entry.duration - entry.processingEnd,
+      ),
+    };
+  }
+
+  measureFID(entries) {
+    if (!entries) return { value: null, note: "first-input not supported" };
+
+    const entry = entries[0];
+    if (!entry) return { value: null, note: "No input recorded yet" };
+
+    return {
+      value: Math.round(entry.processingStart - entry.startTime),
+      event: entry.name,
+      target: this.getNodePath(entry.target),
+    };
+  }
+
+  // TTFB has no node to blame, so it is split into network phases instead
+  measureTTFB() {
+    const navigation = performance.getEntriesByType("navigation")[0];
+    if (!navigation) return { value: null, note: "No navigation entry" };
+
+    const activationStart = navigation.activationStart || 0;
+    const phase = (end, start) => Math.max(Math.round(end - start), 0);
+
+    return {
+      value: phase(navigation.responseStart, activationStart),
+      // waiting: redirects, service worker and HTTP cache; connection: TCP + TLS
+      phases: {
+        waiting: phase(navigation.domainLookupStart, activationStart),
+        dns: phase(navigation.domainLookupEnd, navigation.domainLookupStart),
+        connection: phase(navigation.connectEnd, navigation.connectStart),
+        request: phase(navigation.responseStart, navigation.requestStart),
+      },
+    };
+  }
+
+  rateVital(name, value) {
+    // [good, poor] boundaries from web.dev
+    const thresholds = {
+      lcp: [2500, 4000],
+      cls: [0.1, 0.25],
+      inp: [200, 500],
+      fid: [100, 300],
+      ttfb: [800, 1800],
+    };
+    const [good, poor] = thresholds[name];
+
+    if (value <= good) return "good";
+    if (value <= poor) return "needs-improvement";
+    return "poor";
+  }
+
+  formatVital(name, metric) {
+    if (metric.value === null) return metric.note;
+
+    const value =
+      name === "cls" ? String(metric.value) : `${Math.round(metric.value)} ms`;
+    const culprit =
+      metric.element ||
+      metric.target ||
+      (metric.sources && metric.sources[0] && metric.sources[0].nodes[0]);
+
+    return `${value} (${metric.rating})${culprit ? ` - ${culprit}` : ""}`;
+  }
+
   getMemoryInfo() {
     if ("memory" in performance) {
       return {
@@ -1204,6 +1463,10 @@ class WebPageInspector {
       accessibility.forms.withoutLabels,
     );
     console.log("Links without text:", accessibility.links.withoutText);
+    console.log(
+      "Text below WCAG AA contrast:",
+      accessibility.colorContrast.failingAA,
+    );
     console.log(
       "ARIA attributes used:",
       Object.keys(accessibility.aria.attributes).length,
@@ -1358,30 +1621,144 @@ class WebPageInspector {
     };
   }
 
+  // WCAG 2.x contrast for every element that directly holds visible text.
+  // The background is found by alpha-compositing background colours up the
+  // ancestor chain onto the white canvas; text over a background image or
+  // gradient can't be computed and is counted as indeterminate.
   checkColorContrast() {
-    // This is a simplified check - real contrast checking requires color parsing and WCAG calculations
-    const elements = [...document.querySelectorAll("*")].slice(0, 100);
+    const maxElements = 2000;
+    const backgrounds = new Map();
+    const checked = new Set();
+    const failures = [];
     let analyzed = 0;
+    let passingAA = 0;
+    let passingAAA = 0;
+    let indeterminate = 0;
 
-    elements.forEach((el) => {
-      const style = getComputedStyle(el);
-      const color = style.color;
-      const backgroundColor = style.backgroundColor;
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+    );
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const el = node.parentElement;
+      if (!node.nodeValue.trim() || !el || checked.has(el)) continue;
+      checked.add(el);
+      if (checked.size > maxElements) break;
 
+      const style = getComputedStyle(el);
       if (
-        color !== "rgba(0, 0, 0, 0)" &&
-        backgroundColor !== "rgba(0, 0, 0, 0)"
+        el.getClientRects().length === 0 ||
+        style.visibility !== "visible" ||
+        parseFloat(style.opacity) === 0 ||
+        el.closest("script, style, noscript, template, :disabled")
       ) {
-        analyzed++;
+        continue;
       }
-    });
+
+      const background = this.getEffectiveBackground(el, backgrounds);
+      const foreground = this.parseColor(style.color);
+      if (!background || !foreground) {
+        indeterminate++;
+        continue;
+      }
+
+      const ratio = this.getContrastRatio(
+        this.blendColors(foreground, background),
+        background,
+      );
+      // Large text: at least 18pt, or 14pt bold
+      const fontSize = parseFloat(style.fontSize);
+      const bold = parseInt(style.fontWeight, 10) >= 700;
+      const large = fontSize >= 24 || (bold && fontSize >= 18.66);
+      const requiredAA = large ? 3 : 4.5;
+      const requiredAAA = large ? 4.5 : 7;
+
+      analyzed++;
+      if (ratio >= requiredAA) passingAA++;
+      if (ratio >= requiredAAA) passingAAA++;
+
+      if (ratio < requiredAA) {
+        failures.push({
+          selector: this.getNodePath(el),
+          text: node.nodeValue.trim().substring(0, 60),
+          ratio: Math.round(ratio * 100) / 100,
+          required: requiredAA,
+          color: style.color,
+          background: `rgb(${background.map(Math.round).join(", ")})`,
+          fontSize: style.fontSize,
+          fontWeight: style.fontWeight,
+          largeText: large,
+        });
+      }
+    }
 
     return {
-      note: "Full contrast analysis requires specialized tools",
       elementsAnalyzed: analyzed,
+      passingAA,
+      passingAAA,
+      failingAA: analyzed - passingAA,
+      failingAAA: analyzed - passingAAA,
+      indeterminate,
+      truncated: checked.size > maxElements,
+      failures: failures.sort((a, b) => a.ratio - b.ratio).slice(0, 30),
     };
   }
 
+  // Opaque [r, g, b] behind the element, or null when a background image
+  // or an unparsable colour is in the way. Memoised per element.
+  getEffectiveBackground(el, cache) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return [255, 255, 255];
+    if (cache.has(el)) return cache.get(el);
+
+    const style = getComputedStyle(el);
+    const color = this.parseColor(style.backgroundColor);
+    let background;
+
+    if (!color || (style.backgroundImage && style.backgroundImage !== "none")) {
+      background = null;
+    } else if (color[3] >= 1) {
+      background = color.slice(0, 3);
+    } else {
+      const below = this.getEffectiveBackground(el.parentElement, cache);
+      background = below && this.blendColors(color, below);
+    }
+
+    cache.set(el, background);
+    return background;
+  }
+
+  // "rgb(r, g, b)" / "rgba(r, g, b, a)" / "rgb(r g b / a)" → [r, g, b, a]
+  parseColor(value) {
+    const match = /^rgba?\(([^)]+)\)$/.exec((value || "").trim());
+    if (!match) return null;
+
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+    const [r, g, b] = parts.slice(0, 3).map(parseFloat);
+    const alpha = parts[3] === undefined ? 1 : parseFloat(parts[3]);
+    const a = parts[3] && parts[3].endsWith("%") ? alpha / 100 : alpha;
+
+    return [r, g, b, a].some(isNaN) ? null : [r, g, b, a];
+  }
+
+  // Source-over compositing of an [r, g, b, a] colour onto an opaque one
+  blendColors([r, g, b, a = 1], [br, bg, bb]) {
+    return [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a)];
+  }
+
+  getRelativeLuminance([r, g, b]) {
+    const [R, G, B] = [r, g, b].map((channel) => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  }
+
+  getContrastRatio(first, second) {
+    const l1 = this.getRelativeLuminance(first);
+    const l2 = this.getRelativeLuminance(second);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
   checkLandmarks() {
     const landmarks = [
       "header",
@@ -1854,6 +2231,13 @@ class WebPageInspector {
       );
     }
 
+    if (accessibility.colorContrast.failingAA > 0) {
+      const [worst] = accessibility.colorContrast.failures;
+      issues.push(
+        `${accessibility.colorContrast.failingAA} text elements below WCAG AA contrast (worst ${worst.ratio}:1 at ${worst.selector})`,
+      );
+    }
+
     if (!security.https) {
       issues.push("Not using HTTPS");
     }
@@ -1866,6 +2250,12 @@ class WebPageInspector {
       issues.push("High number of resource requests");
     }
 
+    Object.entries(performance.vitals).forEach(([name, metric]) => {
+      if (metric.rating === "poor") {
+        issues.push(`${name.toUpperCase()} ${this.formatVital(name, metric)}`);
+      }
+    });
+
     return issues;
   }
 
@@ -1926,6 +2316,37 @@ class WebPageInspector {
       recs.push("Optimize external script loading with async/defer");
     }
 
+    const { lcp, cls, inp, ttfb } = performance.vitals;
+    const needsWork = (metric) => metric.rating && metric.rating !== "good";
+
+    if (needsWork(lcp)) {
+      recs.push(
+        lcp.url
+          ? `Preload and compress the LCP image ${lcp.url} (${lcp.element}), and don't lazy-load it`
+          : `Render the LCP element (${lcp.element}) sooner: cut render-blocking CSS/JS and server time`,
+      );
+    }
+
+    if (needsWork(cls)) {
+      const nodes = [...new Set(cls.sources.flatMap((source) => source.nodes))];
+      recs.push(
+        `Reserve space (width/height or aspect-ratio) for shifting elements: ${nodes.slice(0, 3).join(", ") || "unknown nodes"}`,
+      );
+    }
+
+    if (needsWork(inp)) {
+      recs.push(
+        `Break up the ${inp.event} handler work on ${inp.target || "the page"} (input delay ${inp.inputDelay} ms, processing ${inp.processingTime} ms, presentation ${inp.presentationDelay} ms)`,
+      );
+    }
+
+    if (needsWork(ttfb)) {
+      const [slowest] = Object.entries(ttfb.phases).sort((a, b) => b[1] - a[1]);
+      recs.push(
+        `Reduce server response time (TTFB ${ttfb.value} ms, mostly ${slowest[0]}): use a CDN and cache HTML`,
+      );
+    }
+
     return recs;
   }
 
@@ -1945,6 +2366,12 @@ class WebPageInspector {
       recs.push("Add an H1 heading to the page");
     }
 
+    if (accessibility.colorContrast.failingAA > 0) {
+      recs.push(
+        "Raise text contrast to at least 4.5:1 (3:1 for large text) - see accessibility.colorContrast.failures",
+      );
+    }
+
     return recs;
   }
 
@@ -2069,6 +2496,17 @@ class WebPageInspector {
                 <div class="metric">Complexity: ${this.results.summary?.complexity || "Unknown"}</div>
                 <div class="metric">Elements: ${this.results.analysis.structure?.body.totalElements || 0}</div>
             </div>
+            <div class="subsection">
+                <h3>Core Web Vitals</h3>
+                ${Object.entries(
+                  this.results.analysis.performance?.vitals || {},
+                )
+                  .map(
+                    ([name, metric]) =>
+                      `<div class="metric">${name.toUpperCase()}: ${this.formatVital(name, metric)}</div>`,
+                  )
+                  .join("")}
+            </div>
             <div class="subsection">
                 <h3>Technologies</h3>
                 ${this.results.summary?.technologies.map((tech) => `<div class="metric">${tech}</div>`).join("") || "None detected"}
@@ -0,0 +1,22 @@
+// Captured ms-cmark-node HTML → Markdown through the aiStudio preset, the same
+// converter the Chat Exporters embed. fixtures/cmark/<name>.html is checked
+// against the golden <name>.md beside it.
+
+'use strict';
+
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const HtmlToMarkdown = require('../Generic - HTML to Markdown.js');
+const { listFixtures, matchGolden } = require('./helpers');
+
+const toMarkdown = HtmlToMarkdown.create({ presets: [HtmlToMarkdown.presets.aiStudio] });
+
+for (const { name, file } of listFixtures('cmark', '.html')) {
+  test('cmark fixture: ' + name, () => {
+    const { document } = new JSDOM(fs.readFileSync(file, 'utf8')).window;
+    const root = document.querySelector('ms-cmark-node');
+    matchGolden(path.join(path.dirname(file), name + '.md'), toMarkdown(root) + '\n');
+  });
+}
@@ -0,0 +1,45 @@
+// Sync checks for the blocks the snippets embed verbatim between
+// "// ── BEGIN <name>" / "// ── END <name>" markers: every embedded copy must
+// match the block in its source file, indentation aside. (The HTML-to-Markdown
+// converter is checked in html-to-markdown.test.js.)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./helpers');
+
+const REGISTRY = 'Google AI Studio - [0] Selector Registry.js';
+const SEPARATE = 'Google AI Studio - [2] Chat Exporter (separate attachments).js';
+
+// block name → [source file, minimum number of embedded copies]
+const BLOCKS = {
+  'ai-studio-selectors': [REGISTRY, 6],
+  'ai-studio-updated-dates': [REGISTRY, 3],
+  'ai-studio-inspector-tools': [REGISTRY, 2],
+  'zip-writer': [SEPARATE, 1],
+  'json-file-picker': [SEPARATE, 2],
+};
+
+const read = f => fs.readFileSync(path.join(ROOT, f), 'utf8');
+
+const block = (src, name) => {
+  const start = src.indexOf('// ── BEGIN ' + name + ' ');
+  const end = src.indexOf('\n', src.indexOf('// ── END ' + name + ' '));
+  return src.slice(start, end).split('\n').map(l => l.trim()).join('\n');
+};
+
+for (const [name, [source, min]] of Object.entries(BLOCKS)) {
+  test('embedded ' + name + ' copies match ' + source, () => {
+    const expected = block(read(source), name);
+    assert.ok(expected.startsWith('// ── BEGIN'), source + ' has no ' + name + ' block');
+    const embedders = fs.readdirSync(ROOT).filter(f => /^Google AI Studio - .*\.js$/.test(f) && f !== source)
+      .filter(f => read(f).includes('// ── BEGIN ' + name + ' '));
+    assert.ok(embedders.length >= min, 'expected at least ' + min + ' snippets to embed ' + name);
+    for (const f of embedders) {
+      assert.strictEqual(block(read(f), name), expected, f + ' is out of sync with ' + source);
+    }
+  });
+}
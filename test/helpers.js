@@ -0,0 +1,33 @@
+// =============================================================================
+// Shared helpers for the offline tests
+// =============================================================================
+// Goldens are plain files next to their fixture. Run with UPDATE_GOLDENS=1 to
+// rewrite them from the current output, then review the diff before committing.
+// =============================================================================
+
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Fixture files of one kind, as { name, file } sorted by name
+const listFixtures = (dir, ext) =>
+  fs.readdirSync(path.join(FIXTURES, dir))
+    .filter(f => f.endsWith(ext))
+    .sort()
+    .map(f => ({ name: f.slice(0, -ext.length), file: path.join(FIXTURES, dir, f) }));
+
+const matchGolden = (file, actual) => {
+  if (process.env.UPDATE_GOLDENS) {
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), 'missing golden ' + path.relative(ROOT, file) + ' — run with UPDATE_GOLDENS=1');
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), 'output differs from ' + path.relative(ROOT, file));
+};
+
+module.exports = { ROOT, FIXTURES, listFixtures, matchGolden };
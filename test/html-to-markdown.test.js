@@ -0,0 +1,90 @@
+// Unit tests for the shared HTML-to-Markdown module: the base rule table,
+// presets, rule overrides and matchers, against saved HTML fixtures in
+// fixtures/html-to-markdown/ (goldens are the .md files beside them).
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const HtmlToMarkdown = require('../Generic - HTML to Markdown.js');
+const { ROOT, FIXTURES, matchGolden } = require('./helpers');
+
+const DIR = path.join(FIXTURES, 'html-to-markdown');
+const load = name => new JSDOM(fs.readFileSync(path.join(DIR, name + '.html'), 'utf8')).window.document;
+const fragment = html => new JSDOM('<body>' + html + '</body>').window.document.body;
+
+test('base rules convert plain article markup', () => {
+  const toMarkdown = HtmlToMarkdown.create();
+  matchGolden(path.join(DIR, 'generic.md'), toMarkdown(load('generic').querySelector('article')) + '\n');
+});
+
+test('aiStudio preset strips UI chrome and unwraps Angular wrappers', () => {
+  const toMarkdown = HtmlToMarkdown.create({ presets: [HtmlToMarkdown.presets.aiStudio] });
+  matchGolden(path.join(DIR, 'ai-studio-chrome.md'), toMarkdown(load('ai-studio-chrome').querySelector('ms-prompt-chunk')) + '\n');
+});
+
+test('without the preset, custom elements pass through but chrome is kept', () => {
+  const md = HtmlToMarkdown.create()(load('ai-studio-chrome').querySelector('ms-prompt-chunk'));
+  assert.match(md, /content_copy/);
+  assert.match(md, /Array\.from/);
+});
+
+test('a rule override can delegate to the rule it replaced', () => {
+  const toMarkdown = HtmlToMarkdown.create({
+    presets: [HtmlToMarkdown.presets.aiStudio],
+    rules: {
+      img: (node, ctx, next) => node.getAttribute('src').startsWith('data:') ? '![inline](image_1.png)' : next(),
+    },
+  });
+  const body = fragment(
+    '<p><img src="data:image/png;base64,AAAA" alt="x"> <img src="https://a/b.png" alt="remote"> ' +
+    '<img src="https://a/watermark/watermark.png" alt=""></p>');
+  assert.strictEqual(toMarkdown(body), '![inline](image_1.png) ![remote](https://a/b.png) ![Thinking](watermark.png)');
+});
+
+test('options layer over presets: transparent tags, strip selectors and matchers', () => {
+  const toMarkdown = HtmlToMarkdown.create({
+    transparent: ['x-wrapper'],
+    strip: '.ad',
+    matchers: [{ test: node => node.classList.contains('kbd'), convert: node => '<kbd>' + node.textContent + '</kbd>' }],
+  });
+  const body = fragment('<x-wrapper><ul><x-wrapper><li>Press <span class="kbd">Esc</span></li></x-wrapper></ul></x-wrapper><div class="ad">Buy</div>');
+  assert.strictEqual(toMarkdown(body), '- Press <kbd>Esc</kbd>');
+});
+
+test('conversion works on a clone and leaves the page untouched', () => {
+  const body = fragment('<p>Hi <button>Copy</button></p>');
+  HtmlToMarkdown.create({ strip: 'button' })(body);
+  assert.strictEqual(body.innerHTML, '<p>Hi <button>Copy</button></p>');
+});
+
+test('line breaks in text nodes collapse to one space', () => {
+  const toMarkdown = HtmlToMarkdown.create();
+  assert.strictEqual(toMarkdown(fragment('<p>one\n   two\n three</p><p>a<br>b</p>')), 'one two three\n\na\nb');
+});
+
+test('trailing whitespace is stripped except inside top-level code fences', () => {
+  const toMarkdown = HtmlToMarkdown.create();
+  assert.strictEqual(toMarkdown(fragment('<p>a  <br>b\t</p><pre><code>x = 1  \ny = 2\n</code></pre>')),
+    'a\nb\n\n```\nx = 1  \ny = 2\n```');
+  assert.strictEqual(toMarkdown(fragment('<ul><li>item<pre><code>k  \n</code></pre></li></ul>')),
+    '- item\n\n  ```\n  k\n  ```');
+});
+
+test('embedded copies in the AI Studio snippets match the module', () => {
+  const block = src => {
+    const start = src.indexOf('// ── BEGIN html-to-markdown');
+    const end = src.indexOf('\n', src.indexOf('// ── END html-to-markdown'));
+    return src.slice(start, end).split('\n').map(l => l.trim()).join('\n');
+  };
+  const module = block(fs.readFileSync(path.join(ROOT, 'Generic - HTML to Markdown.js'), 'utf8'));
+  const embedders = fs.readdirSync(ROOT).filter(f => /^Google AI Studio - .*\.js$/.test(f))
+    .filter(f => fs.readFileSync(path.join(ROOT, f), 'utf8').includes('// ── BEGIN html-to-markdown'));
+  assert.ok(embedders.length >= 2, 'expected the Chat Exporters to embed the converter');
+  for (const f of embedders) {
+    assert.strictEqual(block(fs.readFileSync(path.join(ROOT, f), 'utf8')), module, f + ' is out of sync with the module');
+  }
+});
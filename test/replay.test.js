@@ -0,0 +1,158 @@
+// Replays DOM Inspector fixtures (fixtures/replay/<name>.html) through the
+// exporters under jsdom. The fixture's page meta picks the snippets — prompts:
+// both Chat Exporters, library: the Library Page Exporter — and every .md and
+// .json they download is checked against fixtures/replay/<name>.<snippet>.<ext>.
+// The page clock starts at the fixture's capture time, so relative dates
+// resolve the same on every run; export timestamps are masked.
+
+'use strict';
+
+process.env.TZ = 'UTC';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { ROOT, listFixtures, matchGolden } = require('./helpers');
+
+const SNIPPETS = {
+  prompts: {
+    separate: {
+      file: 'Google AI Studio - [2] Chat Exporter (separate attachments).js',
+      config: { scrollDelayMs: 1, checkpoint: false, exportFormat: 'both' },
+    },
+    base64: {
+      file: 'Google AI Studio - [2] Chat Exporter (base64 attachments).js',
+      config: { scrollDelayMs: 1, checkpoint: false, exportFormat: 'both' },
+    },
+  },
+  library: {
+    library: {
+      file: 'Google AI Studio - [2] Library Page Exporter.js',
+      config: { scrollDelayMs: 1, keepHistory: false, exportFormat: 'all' },
+    },
+  },
+};
+
+const meta = (html, name) => {
+  const m = html.match(new RegExp('<meta name="' + name + '" content="([^"]*)"'));
+  return m ? m[1] : '';
+};
+
+// The snippet with its CONFIG literal wrapped in Object.assign(…, overrides)
+const configure = (src, overrides) => {
+  const start = src.match(/^( *)const CONFIG = \{$/m);
+  assert.ok(start, 'no CONFIG block');
+  const end = src.indexOf('\n' + start[1] + '};\n', start.index);
+  return src.slice(0, start.index) + start[1] + 'const CONFIG = Object.assign({' +
+    src.slice(start.index + start[0].length, end) + '\n' + start[1] + '}, ' + JSON.stringify(overrides) + ');\n' +
+    src.slice(end + start[1].length + 4);
+};
+
+// Runs one snippet on the fixture → { downloads: [{ name, text }], errors }
+const replay = async (html, { file, config }) => {
+  const dom = new JSDOM(html, { url: meta(html, 'fixture-url'), runScripts: 'outside-only', pretendToBeVisual: true });
+  const w = dom.window;
+  const capturedAt = Date.parse(meta(html, 'fixture-captured-at'));
+  w.eval('(() => {' +
+    'const RealDate = Date; const offset = ' + capturedAt + ' - RealDate.now();' +
+    'class FixtureDate extends RealDate {' +
+    '  constructor(...args) { if (args.length) super(...args); else super(RealDate.now() + offset); }' +
+    '  static now() { return RealDate.now() + offset; }' +
+    '}' +
+    'window.Date = FixtureDate;' +
+    '})()');
+  // Render waits and closing pauses only cost time against a static page
+  const setTimeoutReal = w.setTimeout.bind(w);
+  w.setTimeout = (fn, ms, ...args) => setTimeoutReal(fn, Math.min(ms || 0, 5), ...args);
+  w.TextEncoder = TextEncoder;
+  w.Element.prototype.scrollIntoView = function () {};
+  w.fetch = async () => { throw new Error('offline'); };
+
+  const blobs = [];
+  const downloads = [];
+  w.URL.createObjectURL = blob => { blobs.push(blob); return 'blob:replay/' + blobs.length; };
+  w.URL.revokeObjectURL = () => {};
+  w.HTMLAnchorElement.prototype.click = function () {
+    const blob = blobs[Number(this.getAttribute('href').split('/').pop()) - 1];
+    if (blob) downloads.push({ name: this.download, blob });
+  };
+  const errors = [];
+  Object.keys(w.console).forEach(k => { w.console[k] = () => {}; });
+  w.console.error = (...args) => errors.push(args.map(String).join(' '));
+
+  await w.eval(configure(fs.readFileSync(path.join(ROOT, file), 'utf8'), config));
+
+  const read = blob => new Promise((resolve, reject) => {
+    const reader = new w.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+  const result = [];
+  for (const d of downloads) result.push({ name: d.name, text: await read(d.blob) });
+  w.close();
+  return { downloads: result, errors, capturedAt };
+};
+
+// Timestamps at or after the capture time were taken during the export
+const maskExportTime = (text, capturedAt) => text
+  .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z/g, ts => Date.parse(ts) >= capturedAt ? '<export time>' : ts)
+  .replace(/\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}/g, '<export time>');
+
+for (const { name, file } of listFixtures('replay', '.html')) {
+  const html = fs.readFileSync(file, 'utf8');
+  const page = meta(html, 'fixture-page');
+  const snippets = SNIPPETS[page];
+
+  test('replay fixture ' + name + ' has a known page', () => {
+    assert.ok(snippets, 'fixture-page "' + page + '" has no snippets to replay');
+  });
+  if (!snippets) continue;
+
+  for (const [tag, snippet] of Object.entries(snippets)) {
+    test('replay ' + name + ' through ' + snippet.file, async () => {
+      const { downloads, errors, capturedAt } = await replay(html, snippet);
+      assert.deepStrictEqual(errors, []);
+      const outputs = downloads.filter(d => /\.(md|json)$/.test(d.name));
+      assert.ok(outputs.length, 'no Markdown or JSON downloads');
+      for (const ext of ['md', 'json']) {
+        const matching = outputs.filter(d => d.name.endsWith('.' + ext));
+        assert.ok(matching.length <= 1, 'several .' + ext + ' downloads: ' + matching.map(d => d.name).join(', '));
+        if (matching.length) {
+          matchGolden(path.join(path.dirname(file), name + '.' + tag + '.' + ext), maskExportTime(matching[0].text, capturedAt));
+        }
+      }
+    });
+  }
+}
+
+// Text that spells out HTML reaches the Markdown as raw HTML, and the HTML
+// transcript passes converter-shaped lines through sanitizeRawHtml
+test('HTML transcripts drop entity-encoded javascript: URLs', async () => {
+  const html = '<!DOCTYPE html><html><head>' +
+    '<meta name="fixture-url" content="https://aistudio.google.com/prompts/xss">' +
+    '<meta name="fixture-captured-at" content="2026-03-10T15:42:07.000Z">' +
+    '</head><body><ms-autoscroll-container><ms-chat-turn><div class="chat-turn-container model" data-turn-role="Model">' +
+    '<ms-prompt-chunk class="text-chunk"><ms-text-chunk><ms-cmark-node class="cmark-node">' +
+    '<p>&lt;details&gt;</p>' +
+    '<p>&lt;summary&gt;&lt;a href="javascript&amp;#58;alert(1)"&gt;one&lt;/a&gt;&lt;/summary&gt;</p>' +
+    '<p>Body</p><p>&lt;/details&gt;</p>' +
+    '<p>&lt;details&gt;</p>' +
+    '<p>&lt;summary&gt;&lt;a href=" java&amp;Tab;script&amp;colon;alert(2)"&gt;two&lt;/a&gt;&lt;/summary&gt;</p>' +
+    '<p>&lt;/details&gt;</p>' +
+    '</ms-cmark-node></ms-text-chunk></ms-prompt-chunk></div></ms-chat-turn></ms-autoscroll-container></body></html>';
+  for (const snippet of Object.values(SNIPPETS.prompts)) {
+    const { downloads, errors } = await replay(html, {
+      file: snippet.file,
+      config: { ...snippet.config, exportFormat: 'markdown', transcriptFormats: ['html'] },
+    });
+    assert.deepStrictEqual(errors, []);
+    const page = downloads.find(d => d.name.endsWith('.html'));
+    assert.ok(page, snippet.file + ' downloaded no transcript');
+    assert.match(page.text, /<summary><a>one<\/a><\/summary>/);
+    assert.match(page.text, /<summary><a>two<\/a><\/summary>/);
+    assert.doesNotMatch(page.text, /href="[^"]*(script|&#)/i);
+  }
+});